@@ -5,18 +5,38 @@
  */
 
 import { Command } from 'commander';
-import { join, resolve } from 'path';
+import { join, resolve, basename, extname } from 'path';
 import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
 import chalk from 'chalk';
 
 import { generateSprites, validateSpecFile } from './index.js';
+import { buildProject, PROJECT_FILE } from './project.js';
 import { createDefaultSpec } from './generator/prompt-builder.js';
-import { writeJson, ensureDir } from './utils/file-utils.js';
+import { SPEC_SCHEMA } from './generator/spec-schema.js';
+import { loadSpec } from './generator/spec-loader.js';
+import { getProvider, listProviders } from './generator/providers/index.js';
+import { listCache, pruneCache, getCacheDir } from './generator/cache.js';
+import { ERROR_CLASSES } from './generator/errors.js';
+import { formatCost } from './generator/cost-tracker.js';
+import { quantizeImage, extractPalette } from './processor/quantize.js';
+import { formatPalette, getPaletteFormat } from './processor/palette.js';
+import { writeJson, writeText, ensureDir } from './utils/file-utils.js';
 import { config, validateConfig } from './config.js';
 import logger from './utils/logger.js';
 
 const program = new Command();
 
+// Suggested next step per generation error class
+const ERROR_HINTS = {
+  [ERROR_CLASSES.AUTH]: 'Check OPENAI_API_KEY and your account\'s billing/quota.',
+  [ERROR_CLASSES.CONTENT_POLICY]: 'The prompt was rejected by the content filter - reword the character description.',
+  [ERROR_CLASSES.BAD_REQUEST]: 'The request was rejected as invalid - check the spec\'s frame sizes and the image model.',
+  [ERROR_CLASSES.RATE_LIMITED]: 'Still rate limited - lower --concurrency or set REQUESTS_PER_MINUTE.',
+  [ERROR_CLASSES.TRANSIENT]: 'The API kept failing - try again later.',
+  [ERROR_CLASSES.BUDGET]: 'Raise --max-cost/--max-calls, or run with --dry-run to see the projected cost.',
+};
+
 program
   .name('spraite')
   .description('AI-powered pixel art sprite generation for Phaser games')
@@ -29,8 +49,19 @@ program
   .description('Generate sprites from a specification file')
   .argument('<spec>', 'Path to sprite specification JSON file')
   .option('-o, --output <dir>', 'Output directory (default: assets/generated/<name>)')
-  .option('-d, --dry-run', 'Validate spec without generating images')
+  .option('-d, --dry-run', 'Validate spec and print the projected cost without generating images')
   .option('-v, --verbose', 'Enable verbose logging')
+  .option('-p, --provider <name>', `Image provider (${listProviders().join(', ')})`, config.generation.provider)
+  .option('--no-cache', 'Always call the provider instead of reusing cached images')
+  .option('-r, --reference <source>', "Condition animations on a reference: 'model-sheet', an animation name, or an image path")
+  .option('-c, --concurrency <n>', 'Animations to generate in parallel', String(config.generation.concurrency))
+  .option('--refine', 'Refine each strip prompt with the text model before generating')
+  .option('-l, --layout <mode>', "Request frames as a 'strip' or a 'grid' (default: from spec, else strip)")
+  .option('-s, --segmentation <mode>', "Cut strips at 'fixed' offsets or around detected figures ('content')")
+  .option('--max-cost <amount>', 'Abort before the estimated spend would exceed this amount')
+  .option('--max-calls <n>', 'Abort before the number of image API calls would exceed this')
+  .option('--max-attempts <n>', 'Regeneration attempts per animation when validation fails', String(config.generation.maxValidationAttempts))
+  .option('--palette <file>', 'Remap every strip to this project palette (.gpl, .hex or .json)')
   .action(async (specPath, options) => {
     try {
       // Resolve spec path
@@ -40,12 +71,13 @@ program
         process.exit(1);
       }
 
-      // Check API key
-      const configCheck = validateConfig();
+      // Check API key (only needed by remote providers)
+      const provider = getProvider(options.provider);
+      const configCheck = validateConfig({ requiresApiKey: provider.requiresApiKey });
       if (!configCheck.isValid && !options.dryRun) {
         logger.error('Configuration errors:');
         configCheck.errors.forEach(e => logger.error(`  - ${e}`));
-        logger.info('\nSet OPENAI_API_KEY in your .env file or environment');
+        logger.info('\nSet OPENAI_API_KEY in your .env file or environment, or use --provider local');
         process.exit(1);
       }
 
@@ -54,14 +86,96 @@ program
         outputDir: options.output ? resolve(options.output) : null,
         dryRun: options.dryRun,
         verbose: options.verbose,
+        provider: options.provider,
+        cache: options.cache,
+        maxAttempts: parseInteger(options.maxAttempts, '--max-attempts', 1),
+        reference: options.reference,
+        concurrency: parseInteger(options.concurrency, '--concurrency', 1),
+        maxCost: options.maxCost !== undefined ? parseAmount(options.maxCost, '--max-cost') : null,
+        maxCalls: options.maxCalls !== undefined ? parseInteger(options.maxCalls, '--max-calls', 0) : null,
+        refine: options.refine,
+        layout: options.layout,
+        segmentation: options.segmentation,
+        paletteFile: options.palette ?? config.palette.file,
       });
 
       if (result.success) {
         console.log(chalk.green('\n✓ Generation complete!'));
         console.log(chalk.gray(`  ${result.frameCount} frames packed into ${result.files.image}`));
+        for (const variant of result.variants) {
+          console.log(chalk.gray(`  Variant ${variant.characterName}: ${variant.files.image}`));
+        }
+        console.log(chalk.gray(`  ${result.cost.apiCalls} API calls, est. cost ${formatCost(result.cost.estimatedCost, result.cost.currency)}`));
+
+        if (result.frameFallback.length > 0) {
+          console.log(chalk.yellow(`  Assembled from individually generated frames: ${result.frameFallback.join(', ')}`));
+        }
+
+        const failed = Object.entries(result.animations).filter(([, r]) => !r.isValid);
+        if (failed.length > 0) {
+          console.log(chalk.yellow(`  ${failed.length} animation(s) kept best attempt despite validation errors: ${failed.map(([n]) => n).join(', ')}`));
+        }
       }
     } catch (error) {
-      logger.error(`Generation failed: ${error.message}`);
+      const where = error.animation ? ` (${error.animation})` : '';
+      logger.error(`Generation failed${where}: ${error.message}`);
+      if (ERROR_HINTS[error.errorClass]) {
+        logger.info(ERROR_HINTS[error.errorClass]);
+      }
+      if (error.cost) {
+        logger.info(`Spent before stopping: ${error.cost.apiCalls} API calls, est. ${formatCost(error.cost.estimatedCost, error.cost.currency)}`);
+      }
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Build command - generate every out-of-date character of a project
+program
+  .command('build')
+  .description('Generate the characters of a project manifest that changed since the last build')
+  .argument('[project]', 'Path to the project manifest', PROJECT_FILE)
+  .option('-f, --force', 'Rebuild every character, even when up to date')
+  .option('--only <names>', 'Comma-separated character names to build')
+  .option('-d, --dry-run', 'List the characters that would be built and their projected cost')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('-p, --provider <name>', `Image provider (${listProviders().join(', ')})`, config.generation.provider)
+  .option('--no-cache', 'Always call the provider instead of reusing cached images')
+  .option('-c, --concurrency <n>', 'Animations to generate in parallel', String(config.generation.concurrency))
+  .option('--max-attempts <n>', 'Regeneration attempts per animation when validation fails', String(config.generation.maxValidationAttempts))
+  .action(async (projectPath, options) => {
+    try {
+      const provider = getProvider(options.provider);
+      const configCheck = validateConfig({ requiresApiKey: provider.requiresApiKey });
+      if (!configCheck.isValid && !options.dryRun) {
+        logger.error('Configuration errors:');
+        configCheck.errors.forEach(e => logger.error(`  - ${e}`));
+        logger.info('\nSet OPENAI_API_KEY in your .env file or environment, or use --provider local');
+        process.exit(1);
+      }
+
+      const result = await buildProject(resolve(projectPath), {
+        force: options.force,
+        only: options.only ? options.only.split(',').map(name => name.trim()) : null,
+        dryRun: options.dryRun,
+        verbose: options.verbose,
+        provider: options.provider,
+        cache: options.cache,
+        concurrency: parseInteger(options.concurrency, '--concurrency', 1),
+        maxAttempts: parseInteger(options.maxAttempts, '--max-attempts', 1),
+      });
+
+      printBuildSummary(result.characters);
+
+      const failed = result.characters.filter(c => c.status === 'failed');
+      failed.forEach(c => console.log(chalk.red(`  ${c.name}: ${c.error}`)));
+      if (failed.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Build failed: ${error.message}`);
       if (options.verbose) {
         console.error(error.stack);
       }
@@ -83,6 +197,7 @@ program
       }
 
       const result = await validateSpecFile(resolvedPath);
+      result.warnings.forEach(w => console.log(chalk.yellow(`  ! ${w}`)));
 
       if (result.isValid) {
         console.log(chalk.green('✓ Specification is valid'));
@@ -97,6 +212,27 @@ program
     }
   });
 
+// Schema command - print the spec JSON Schema for editors
+program
+  .command('schema')
+  .description('Print the JSON Schema for specification files')
+  .option('-o, --output <file>', 'Write the schema to a file instead of stdout')
+  .action(async (options) => {
+    try {
+      if (options.output) {
+        const outputPath = resolve(options.output);
+        await writeJson(outputPath, SPEC_SCHEMA);
+        console.log(chalk.green(`✓ Wrote schema: ${outputPath}`));
+        console.log(chalk.gray('Reference it from a spec with "$schema" for editor autocompletion.'));
+      } else {
+        console.log(JSON.stringify(SPEC_SCHEMA, null, 2));
+      }
+    } catch (error) {
+      logger.error(`Schema failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Init command - create a new spec file
 program
   .command('init')
@@ -145,7 +281,7 @@ program
       console.log(chalk.bold('Available specifications:\n'));
       for (const file of jsonFiles) {
         const specPath = join(specsDir, file);
-        const spec = JSON.parse(await fs.readFile(specPath, 'utf-8'));
+        const spec = await loadSpec(specPath);
         console.log(`  ${chalk.cyan(file)}`);
         console.log(`    Name: ${spec.name || 'unnamed'}`);
         console.log(`    Character: ${spec.character?.description || 'no description'}`);
@@ -162,5 +298,161 @@ program
     }
   });
 
+// Cache command - inspect and prune the generation cache
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the generation cache');
+
+cacheCommand
+  .command('list')
+  .description('List cached images')
+  .action(async () => {
+    try {
+      const entries = await listCache();
+
+      if (entries.length === 0) {
+        console.log(chalk.yellow(`Cache is empty (${getCacheDir()})`));
+        return;
+      }
+
+      const totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+      console.log(chalk.bold(`Cached images in ${getCacheDir()}:\n`));
+      for (const entry of entries) {
+        console.log(`  ${chalk.cyan(entry.key.substring(0, 12))}  ${entry.createdAt}  ${entry.provider}/${entry.model}  ${entry.size}  ${entry.quality}`);
+        console.log(chalk.gray(`    ${entry.prompt.split('\n').find(l => l.startsWith('CHARACTER:')) || entry.prompt.substring(0, 80)}`));
+      }
+      console.log(chalk.gray(`\n  ${entries.length} entries, ${(totalBytes / 1024).toFixed(1)} KB`));
+    } catch (error) {
+      logger.error(`Cache list failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Remove old cached images')
+  .option('--older-than <days>', 'Remove entries older than this many days', String(config.cache.maxAgeDays))
+  .option('--all', 'Remove every cached image')
+  .action(async (options) => {
+    try {
+      const result = await pruneCache({
+        all: options.all,
+        olderThanDays: parseInteger(options.olderThan, '--older-than', 0),
+      });
+
+      console.log(chalk.green(`✓ Removed ${result.removed} cached images (${(result.freedBytes / 1024).toFixed(1)} KB)`));
+    } catch (error) {
+      logger.error(`Cache prune failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Palette command - project palette files
+const paletteCommand = program
+  .command('palette')
+  .description('Manage the project palette');
+
+paletteCommand
+  .command('extract')
+  .description('Write the colors of an approved sprite sheet to a palette file')
+  .argument('<image>', 'PNG to read (e.g. a generated atlas)')
+  .option('-o, --output <file>', 'Palette file to write (.gpl, .hex or .json; default: print to stdout)')
+  .option('-m, --max-colors <n>', 'Reduce the colors by median cut first')
+  .action(async (imagePath, options) => {
+    try {
+      const maxColors = options.maxColors !== undefined ? parseInteger(options.maxColors, '--max-colors', 2) : null;
+      let image = await readFile(resolve(imagePath));
+      if (maxColors !== null) {
+        image = (await quantizeImage(image, { colors: maxColors })).buffer;
+      }
+
+      const colors = (await extractPalette([image])).map(color => color.hex);
+      if (colors.length === 0) {
+        logger.error(`No opaque pixels in ${imagePath}`);
+        process.exit(1);
+      }
+
+      if (options.output) {
+        const outputPath = resolve(options.output);
+        const name = basename(imagePath, extname(imagePath));
+        await writeText(outputPath, formatPalette(colors, getPaletteFormat(outputPath), name));
+        console.log(chalk.green(`✓ Wrote ${colors.length} colors: ${outputPath}`));
+        if (colors.length > 64) {
+          console.log(chalk.yellow('  That is a lot of colors for a palette lock - try --max-colors.'));
+        }
+      } else {
+        process.stdout.write(formatPalette(colors, 'hex'));
+      }
+    } catch (error) {
+      logger.error(`Palette extract failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Parses a whole-number option
+ * parseInt alone turns typos into NaN (or reads '5d' as 5), which silently disables checks
+ * @param {string} value - Option value
+ * @param {string} option - Option name, for the error message
+ * @param {number} min - Smallest value allowed
+ * @returns {number} Parsed value
+ */
+function parseInteger(value, option, min) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < min) {
+    throw new Error(`${option} must be a whole number of at least ${min}, got '${value}'`);
+  }
+  return Number(text);
+}
+
+/**
+ * Parses a non-negative decimal option, such as a budget
+ * @param {string} value - Option value
+ * @param {string} option - Option name, for the error message
+ * @returns {number} Parsed value
+ */
+function parseAmount(value, option) {
+  const text = String(value).trim();
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(text)) {
+    throw new Error(`${option} must be a number of at least 0, got '${value}'`);
+  }
+  return Number(text);
+}
+
+/**
+ * Prints the per-character table of a project build
+ * @param {import('./project.js').CharacterBuild[]} characters - Build outcomes
+ */
+function printBuildSummary(characters) {
+  const STATUS_COLORS = { built: chalk.green, current: chalk.gray, stale: chalk.yellow, failed: chalk.red };
+  const rows = characters.map(c => [
+    c.name,
+    c.status,
+    c.frames ?? '-',
+    c.variants,
+    c.apiCalls,
+    formatCost(c.cost),
+    ['current', 'stale'].includes(c.status) ? '-' : `${c.seconds.toFixed(1)}s`,
+  ].map(String));
+  const header = ['Character', 'Status', 'Frames', 'Variants', 'API calls', 'Est. cost', 'Time'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(chalk.bold(`\n${format(header)}`));
+  for (const row of rows) {
+    console.log(STATUS_COLORS[row[1]](format(row)));
+  }
+
+  const count = status => characters.filter(c => c.status === status).length;
+  const apiCalls = characters.reduce((sum, c) => sum + c.apiCalls, 0);
+  const cost = characters.reduce((sum, c) => sum + c.cost, 0);
+  console.log(chalk.gray(
+    `\n  ${count('built')} built, ${count('current')} up to date` +
+    (count('stale') > 0 ? `, ${count('stale')} to build` : '') +
+    (count('failed') > 0 ? `, ${count('failed')} failed` : '') +
+    `; ${apiCalls} API calls, est. ${formatCost(cost)}`
+  ));
+}
+
 // Parse arguments
 program.parse();
@@ -4,6 +4,7 @@
  */
 
 import { config as dotenvConfig } from 'dotenv';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -25,18 +26,55 @@ export const config = {
   generation: {
     maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
     retryDelayMs: parseInt(process.env.RETRY_DELAY_MS || '2000', 10),
+    // Animations generated in parallel, sharing one rate limiter
+    concurrency: parseInt(process.env.SPRAITE_CONCURRENCY || '3', 10),
+    // Image API request ceiling across all parallel generations (0 = unlimited)
+    requestsPerMinute: parseInt(process.env.REQUESTS_PER_MINUTE || '0', 10),
+    // Generate/validate attempts per animation before keeping the best result
+    maxValidationAttempts: parseInt(process.env.MAX_VALIDATION_ATTEMPTS || '3', 10),
+    // Strip attempts failing frame count/separation before generating frames one by one (0 = never)
+    frameFallbackAfter: parseInt(process.env.FRAME_FALLBACK_AFTER || '2', 10),
+    // Longer animations are generated as several overlapping sub-strips
     maxFramesPerStrip: 8,
     minFramesPerStrip: 4,
+    // Frames each sub-strip repeats from the end of the previous one
+    stripOverlap: 1,
+    // Image provider: 'openai' (live API) or 'local' (offline fixtures/placeholders)
+    provider: process.env.SPRAITE_PROVIDER || 'openai',
   },
 
-  // Pixel art style constraints
+  // Generation cache (content-addressed by prompt, model, size and quality)
+  cache: {
+    enabled: process.env.SPRAITE_CACHE !== 'false',
+    dir: process.env.SPRAITE_CACHE_DIR || '.spraite-cache',
+    // Default age for `spraite cache prune`
+    maxAgeDays: parseInt(process.env.SPRAITE_CACHE_MAX_AGE_DAYS || '30', 10),
+  },
+
+  // Estimated USD prices used for cost accounting
+  // Override with SPRAITE_PRICES_FILE (JSON with the same shape)
+  pricing: loadPricing({
+    currency: 'USD',
+    // Per image, by quality and API size
+    images: {
+      low: { '1024x1024': 0.011, '1024x1792': 0.016, '1792x1024': 0.016 },
+      medium: { '1024x1024': 0.042, '1024x1792': 0.063, '1792x1024': 0.063 },
+      high: { '1024x1024': 0.167, '1024x1792': 0.25, '1792x1024': 0.25 },
+    },
+    // Per text-model call (prompt refinement)
+    textCall: 0.01,
+  }),
+
+  // Pixel art style; presets (palette, outline, era, thresholds) live in generator/styles.js
   style: {
-    maxColors: 16,
-    outlineWidth: 1,
-    outlineColor: '#000000',
-    antiAliasing: false,
+    // Preset for specs without a style field
+    preset: process.env.SPRAITE_STYLE || 'snes-16bit',
   },
 
+  // Project prompt templates and motion vocabulary; specs can override both
+  // Load from SPRAITE_PROMPTS_FILE (JSON: { "templates": { "strip", "frame" }, "motions": { "<animation>": "..." } })
+  prompts: loadPrompts(),
+
   // Validation thresholds
   validation: {
     // Corner pixels to check for transparency
@@ -45,6 +83,43 @@ export const config = {
     alphaThreshold: 10,
     // Minimum percentage of border that must be transparent
     minTransparentBorderPercent: 95,
+    // Share of visible pixels (0-100) that may be semi-transparent before a strip fails validation
+    maxPartialAlphaPercent: parseFloat(process.env.SPRAITE_MAX_PARTIAL_ALPHA || '1'),
+  },
+
+  // Post-processing of generated images
+  processing: {
+    // Rebuild logical pixels from upscaled "pixel art" instead of a nearest-neighbor resize
+    pixelGridRecovery: process.env.SPRAITE_PIXEL_GRID !== 'false',
+    // How each grid cell is reduced to one pixel: 'mode' or 'median'
+    pixelSampling: process.env.SPRAITE_PIXEL_SAMPLING || 'mode',
+    // Share of edge peaks (0-1, beyond chance) that must sit on the grid lines before a grid is trusted
+    minGridConfidence: 0.5,
+    // How strips are cut into frames: 'fixed' offsets or around detected figures ('content')
+    segmentation: process.env.SPRAITE_SEGMENTATION || 'fixed',
+    // RGB distance around each variant palette color that is still remapped
+    paletteTolerance: 24,
+    // Quantize strips over the style's color limit (median cut, no dithering); specs can set quantize
+    quantize: process.env.SPRAITE_QUANTIZE !== 'false',
+    // Snap alpha to 0/255, drop stray specks and recolor blended edges; specs can set alphaCleanup
+    alphaCleanup: process.env.SPRAITE_ALPHA_CLEANUP !== 'false',
+    // Alpha (0-255) from which a semi-transparent pixel becomes opaque rather than transparent
+    alphaCutoff: parseInt(process.env.SPRAITE_ALPHA_CUTOFF || '128', 10),
+    // Largest group of detached opaque pixels removed as a speck (0 = keep all)
+    maxSpeckle: parseInt(process.env.SPRAITE_MAX_SPECKLE || '2', 10),
+  },
+
+  // Phaser animation JSON (<name>.anims.json)
+  phaser: {
+    // Prefix of every animation key; {{name}} is the character name (e.g. pirate_walk)
+    animationPrefix: process.env.SPRAITE_ANIM_PREFIX ?? '{{name}}_',
+  },
+
+  // Project palette lock: every strip is remapped to the nearest color of this palette file (.gpl, .hex or .json)
+  palette: {
+    file: process.env.SPRAITE_PALETTE_FILE || null,
+    // Mean color difference (CIE76 delta E) from the palette before a strip fails validation
+    maxError: parseFloat(process.env.SPRAITE_PALETTE_MAX_ERROR || '12'),
   },
 
   // Output paths
@@ -52,17 +127,58 @@ export const config = {
     root: join(__dirname, '..'),
     output: process.env.OUTPUT_DIR || 'assets/generated',
     specs: 'specs',
+    // Fixture strips served by the local provider (<name>/<animation>.png)
+    fixtures: process.env.SPRAITE_FIXTURES_DIR || 'fixtures',
   },
 };
 
+/**
+ * Merges a user price table over the defaults
+ * @param {Object} defaults - Default price table
+ * @returns {Object} Price table
+ */
+function loadPricing(defaults) {
+  const pricesFile = process.env.SPRAITE_PRICES_FILE;
+  if (!pricesFile) {
+    return defaults;
+  }
+
+  const overrides = JSON.parse(readFileSync(pricesFile, 'utf-8'));
+  return {
+    ...defaults,
+    ...overrides,
+    images: { ...defaults.images, ...overrides.images },
+  };
+}
+
+/**
+ * Loads the project prompt templates and motion vocabulary
+ * @returns {{templates: Object, motions: Object}} Templates by kind and motion descriptions by animation name
+ */
+function loadPrompts() {
+  const promptsFile = process.env.SPRAITE_PROMPTS_FILE;
+  if (!promptsFile) {
+    return { templates: {}, motions: {} };
+  }
+
+  const prompts = JSON.parse(readFileSync(promptsFile, 'utf-8'));
+  return {
+    templates: prompts.templates ?? {},
+    motions: prompts.motions ?? {},
+  };
+}
+
 /**
  * Validates that required configuration is present
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requiresApiKey - Whether the active provider needs an API key (default: true)
  * @returns {Object} Validation result with isValid and errors array
  */
-export function validateConfig() {
+export function validateConfig(options = {}) {
+  const { requiresApiKey = true } = options;
   const errors = [];
 
-  if (!config.openai.apiKey) {
+  if (requiresApiKey && !config.openai.apiKey) {
     errors.push('OPENAI_API_KEY environment variable is required');
   }
 
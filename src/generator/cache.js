@@ -0,0 +1,201 @@
+/**
+ * Content-addressed generation cache
+ * Stores generated PNGs on disk keyed by provider, model, prompt, size, quality,
+ * candidate index and (for reference-conditioned requests) the reference image hash
+ */
+
+import { createHash } from 'crypto';
+import { join, isAbsolute } from 'path';
+import { promises as fs } from 'fs';
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+import { readJson, writeJson, writeBinary, fileExists } from '../utils/file-utils.js';
+
+/**
+ * Cache entry metadata
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Content hash
+ * @property {string} provider - Image provider name
+ * @property {string} model - Image model identifier
+ * @property {string} size - Requested size (WxH)
+ * @property {string} quality - Quality setting
+ * @property {string} prompt - Full prompt text
+ * @property {string} [reference] - SHA-256 of the reference image, if any
+ * @property {number} [candidate] - Candidate index within a multi-image request (omitted for the first)
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} bytes - PNG size in bytes
+ */
+
+/**
+ * Resolves the cache directory (relative paths are relative to the project root)
+ * @returns {string} Absolute cache directory
+ */
+export function getCacheDir() {
+  return isAbsolute(config.cache.dir)
+    ? config.cache.dir
+    : join(config.paths.root, config.cache.dir);
+}
+
+/**
+ * Builds the descriptor that identifies a generation request
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options
+ * @returns {Object} Key descriptor
+ */
+function describeRequest(prompt, options = {}) {
+  const { width = 512, height = 512, quality = 'high', provider = config.generation.provider } = options;
+
+  const descriptor = {
+    provider,
+    model: config.openai.imageModel,
+    size: `${width}x${height}`,
+    quality,
+    prompt,
+  };
+
+  if (options.reference) {
+    descriptor.reference = createHash('sha256').update(options.reference).digest('hex');
+  }
+
+  // The first candidate shares its key with a single-image request
+  if (options.candidate) {
+    descriptor.candidate = options.candidate;
+  }
+
+  return descriptor;
+}
+
+/**
+ * Computes the cache key for a generation request
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options (width, height, quality, provider, reference, candidate)
+ * @returns {string} SHA-256 hex digest
+ */
+export function getCacheKey(prompt, options = {}) {
+  const descriptor = describeRequest(prompt, options);
+  return createHash('sha256').update(JSON.stringify(descriptor)).digest('hex');
+}
+
+/**
+ * Reads a cached image for a request
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options
+ * @returns {Promise<Buffer|null>} Cached PNG, or null on miss
+ */
+export async function readCachedImage(prompt, options = {}) {
+  const key = getCacheKey(prompt, options);
+  const imagePath = join(getCacheDir(), `${key}.png`);
+
+  if (!(await fileExists(imagePath))) {
+    return null;
+  }
+
+  logger.debug(`Cache hit: ${key.substring(0, 12)}`);
+  return fs.readFile(imagePath);
+}
+
+/**
+ * Checks whether a request would be served from the cache
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options
+ * @returns {Promise<boolean>} True on hit
+ */
+export async function hasCachedImage(prompt, options = {}) {
+  const key = getCacheKey(prompt, options);
+  return fileExists(join(getCacheDir(), `${key}.png`));
+}
+
+/**
+ * Stores a generated image in the cache
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options
+ * @param {Buffer} imageBuffer - Generated PNG
+ * @returns {Promise<string>} Cache key
+ */
+export async function writeCachedImage(prompt, options, imageBuffer) {
+  const key = getCacheKey(prompt, options);
+  const cacheDir = getCacheDir();
+
+  await writeBinary(join(cacheDir, `${key}.png`), imageBuffer);
+  await writeJson(join(cacheDir, `${key}.json`), {
+    key,
+    ...describeRequest(prompt, options),
+    createdAt: new Date().toISOString(),
+    bytes: imageBuffer.length,
+  });
+
+  logger.debug(`Cached image: ${key.substring(0, 12)}`);
+  return key;
+}
+
+/**
+ * Lists cache entries, newest first
+ * @returns {Promise<CacheEntry[]>} Cache entries
+ */
+export async function listCache() {
+  const cacheDir = getCacheDir();
+  if (!(await fileExists(cacheDir))) {
+    return [];
+  }
+
+  const files = (await fs.readdir(cacheDir)).filter(f => f.endsWith('.json'));
+  const entries = [];
+
+  for (const file of files) {
+    try {
+      entries.push(await readJson(join(cacheDir, file)));
+    } catch (error) {
+      logger.warn(`Skipping unreadable cache entry ${file}: ${error.message}`);
+    }
+  }
+
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Removes cache entries
+ * @param {Object} options - Prune options
+ * @param {boolean} options.all - Remove every entry (default: false)
+ * @param {number} options.olderThanDays - Remove entries older than this many whole days (default: config.cache.maxAgeDays)
+ * @returns {Promise<{removed: number, freedBytes: number}>} Prune summary
+ */
+export async function pruneCache(options = {}) {
+  const { all = false, olderThanDays = config.cache.maxAgeDays } = options;
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    throw new Error(`Cache age must be a whole number of days (0 or more), got '${olderThanDays}'`);
+  }
+
+  const cacheDir = getCacheDir();
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const entry of await listCache()) {
+    if (!all && Date.parse(entry.createdAt) >= cutoff) {
+      continue;
+    }
+
+    await fs.rm(join(cacheDir, `${entry.key}.png`), { force: true });
+    await fs.rm(join(cacheDir, `${entry.key}.json`), { force: true });
+    removed++;
+    freedBytes += entry.bytes || 0;
+  }
+
+  // Refined prompts are cheap to keep but are cleared along with everything else
+  if (all) {
+    await fs.rm(join(cacheDir, 'prompts'), { recursive: true, force: true });
+  }
+
+  return { removed, freedBytes };
+}
+
+export default {
+  getCacheDir,
+  getCacheKey,
+  readCachedImage,
+  hasCachedImage,
+  writeCachedImage,
+  listCache,
+  pruneCache,
+};
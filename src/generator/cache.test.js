@@ -0,0 +1,13 @@
+/**
+ * Generation cache tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pruneCache } from './cache.js';
+
+test('pruneCache rejects an age that is not a whole number of days', async () => {
+  for (const olderThanDays of [NaN, -1, 1.5]) {
+    await assert.rejects(pruneCache({ olderThanDays }), /whole number of days/);
+  }
+});
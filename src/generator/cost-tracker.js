@@ -0,0 +1,182 @@
+/**
+ * Cost accounting for generation runs
+ * Counts API calls, estimates spend from config.pricing and enforces budgets
+ */
+
+import { config } from '../config.js';
+import { getSupportedSize } from './openai-client.js';
+import { GenerationError, ERROR_CLASSES } from './errors.js';
+
+/**
+ * Estimates the price of one image request
+ * @param {Object} request - Image request
+ * @param {number} request.width - Requested width
+ * @param {number} request.height - Requested height
+ * @param {string} request.quality - Quality setting
+ * @param {Object} prices - Price table (default: config.pricing)
+ * @returns {{size: string, quality: string, cost: number}} Billed size and estimated cost
+ */
+export function estimateImageCost({ width = 512, height = 512, quality = 'high' }, prices = config.pricing) {
+  const size = getSupportedSize(width, height);
+  const cost = prices.images[quality]?.[size] ?? 0;
+  return { size, quality, cost };
+}
+
+/**
+ * Creates a per-run cost tracker
+ * Calls are reserved before they are made so concurrent requests can never
+ * push the run past its budget
+ * @param {Object} options - Tracker options
+ * @param {boolean} options.billable - Whether the provider charges for calls (default: true)
+ * @param {number|null} options.maxCost - Abort before estimated spend would exceed this
+ * @param {number|null} options.maxCalls - Abort before API calls would exceed this
+ * @param {Object} options.prices - Price table (default: config.pricing)
+ * @returns {Object} Cost tracker
+ */
+export function createCostTracker(options = {}) {
+  const {
+    billable = true,
+    maxCost = null,
+    maxCalls = null,
+    prices = config.pricing,
+  } = options;
+
+  // A NaN budget compares false against everything and would never stop the run
+  if (maxCost !== null && !(Number.isFinite(maxCost) && maxCost >= 0)) {
+    throw new Error(`Max cost must be a number of at least 0, got '${maxCost}'`);
+  }
+  if (maxCalls !== null && !(Number.isInteger(maxCalls) && maxCalls >= 0)) {
+    throw new Error(`Max calls must be a whole number of at least 0, got '${maxCalls}'`);
+  }
+
+  const totals = {
+    calls: 0,
+    failedCalls: 0,
+    cacheHits: 0,
+    textCalls: 0,
+    cost: 0,
+  };
+  const breakdown = {};
+
+  const reserve = (cost, kind) => {
+    const projectedCost = totals.cost + (billable ? cost : 0);
+
+    if (maxCalls !== null && totals.calls + 1 > maxCalls) {
+      throw budgetError(`call budget of ${maxCalls} reached`);
+    }
+    if (maxCost !== null && projectedCost > maxCost + 1e-9) {
+      throw budgetError(`next ${kind} call would bring estimated cost to ${formatCost(projectedCost, prices.currency)} (max ${formatCost(maxCost, prices.currency)})`);
+    }
+
+    totals.calls++;
+    totals.cost = projectedCost;
+  };
+
+  return {
+    /**
+     * Reserves budget for an image call; throws a 'budget' GenerationError if it would exceed a limit
+     * @param {Object} request - Image request ({ width, height, quality, n })
+     * @returns {Object} Reservation, passed back to settleImage
+     */
+    reserveImage(request) {
+      const estimate = estimateImageCost(request, prices);
+      const images = Math.max(1, request.n ?? 1);
+      const reservation = { ...estimate, images, cost: estimate.cost * images };
+      reserve(reservation.cost, 'image');
+      return reservation;
+    },
+
+    /**
+     * Settles an image call reservation
+     * @param {Object} reservation - Value returned by reserveImage
+     * @param {boolean} ok - Whether the call succeeded (failed calls are not billed)
+     */
+    settleImage(reservation, ok) {
+      if (!ok) {
+        totals.failedCalls++;
+        if (billable) totals.cost -= reservation.cost;
+        return;
+      }
+
+      const key = `${reservation.size} ${reservation.quality}`;
+      breakdown[key] = breakdown[key] || { size: reservation.size, quality: reservation.quality, images: 0, cost: 0 };
+      breakdown[key].images += reservation.images;
+      breakdown[key].cost += billable ? reservation.cost : 0;
+    },
+
+    /**
+     * Reserves budget for a text-model call; throws a 'budget' GenerationError if it would exceed a limit
+     * @returns {Object} Reservation, passed back to settleText
+     */
+    reserveText() {
+      const reservation = { cost: prices.textCall ?? 0 };
+      reserve(reservation.cost, 'text');
+      totals.textCalls++;
+      return reservation;
+    },
+
+    /**
+     * Settles a text call reservation
+     * @param {Object} reservation - Value returned by reserveText
+     * @param {boolean} ok - Whether the call succeeded (a failed refinement is released from the budget)
+     */
+    settleText(reservation, ok) {
+      if (ok) return;
+
+      totals.calls--;
+      totals.textCalls--;
+      if (billable) totals.cost -= reservation.cost;
+    },
+
+    /**
+     * Records a request served from the generation cache
+     */
+    recordCacheHit() {
+      totals.cacheHits++;
+    },
+
+    /**
+     * Returns a snapshot of the run's usage
+     * @returns {Object} Cost summary
+     */
+    summary() {
+      return {
+        currency: prices.currency,
+        billable,
+        apiCalls: totals.calls,
+        imageCalls: totals.calls - totals.textCalls,
+        failedCalls: totals.failedCalls,
+        textCalls: totals.textCalls,
+        cacheHits: totals.cacheHits,
+        estimatedCost: Math.round(totals.cost * 10000) / 10000,
+        images: Object.values(breakdown).map(b => ({ ...b, cost: Math.round(b.cost * 10000) / 10000 })),
+        limits: { maxCost, maxCalls },
+      };
+    },
+  };
+}
+
+/**
+ * Formats a cost for display
+ * @param {number} cost - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted cost
+ */
+export function formatCost(cost, currency = config.pricing.currency) {
+  return `${currency === 'USD' ? '$' : `${currency} `}${cost.toFixed(2)}`;
+}
+
+/**
+ * Creates the error raised when a budget would be exceeded
+ * @param {string} reason - Which limit was hit
+ * @returns {GenerationError} Budget error
+ */
+function budgetError(reason) {
+  return new GenerationError(`Budget exceeded: ${reason}`, { errorClass: ERROR_CLASSES.BUDGET });
+}
+
+export default {
+  estimateImageCost,
+  createCostTracker,
+  formatCost,
+};
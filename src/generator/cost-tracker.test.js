@@ -0,0 +1,36 @@
+/**
+ * Cost tracker tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCostTracker } from './cost-tracker.js';
+import { ERROR_CLASSES } from './errors.js';
+
+test('createCostTracker rejects budgets that are not numbers', () => {
+  assert.throws(() => createCostTracker({ maxCost: NaN }), /Max cost/);
+  assert.throws(() => createCostTracker({ maxCost: -1 }), /Max cost/);
+  assert.throws(() => createCostTracker({ maxCalls: NaN }), /Max calls/);
+  assert.throws(() => createCostTracker({ maxCalls: 1.5 }), /Max calls/);
+});
+
+test('the call budget stops the run before the call that would exceed it', () => {
+  const tracker = createCostTracker({ maxCalls: 1 });
+  const request = { width: 1024, height: 1024, quality: 'low' };
+
+  tracker.settleImage(tracker.reserveImage(request), true);
+  assert.throws(() => tracker.reserveImage(request), error => error.errorClass === ERROR_CLASSES.BUDGET);
+});
+
+test('a failed text call is released from the budget and the report', () => {
+  const tracker = createCostTracker({ maxCalls: 1, prices: { currency: 'USD', textCall: 0.01 } });
+
+  tracker.settleText(tracker.reserveText(), false);
+  assert.equal(tracker.summary().textCalls, 0);
+  assert.equal(tracker.summary().apiCalls, 0);
+  assert.equal(tracker.summary().estimatedCost, 0);
+
+  tracker.settleText(tracker.reserveText(), true);
+  assert.equal(tracker.summary().textCalls, 1);
+  assert.equal(tracker.summary().estimatedCost, 0.01);
+});
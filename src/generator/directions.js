@@ -0,0 +1,95 @@
+/**
+ * Directional sprites
+ * Expands animations into one strip per facing direction for top-down games;
+ * left-facing directions are mirrored from their right-facing counterparts
+ */
+
+/**
+ * Facing directions, with the wording used in prompts
+ */
+const DIRECTION_PROMPTS = {
+  down: 'Character faces the viewer (front view, moving down the screen)',
+  up: 'Character faces away from the viewer (back view, moving up the screen)',
+  right: 'Character faces right (side view)',
+  left: 'Character faces left (side view)',
+  'down-right': 'Character faces down and to the right (three-quarter front view)',
+  'down-left': 'Character faces down and to the left (three-quarter front view)',
+  'up-right': 'Character faces up and to the right (three-quarter back view)',
+  'up-left': 'Character faces up and to the left (three-quarter back view)',
+};
+
+/**
+ * Supported direction names
+ */
+export const DIRECTIONS = Object.keys(DIRECTION_PROMPTS);
+
+/**
+ * Shorthands accepted for the directions field
+ */
+export const DIRECTION_SETS = {
+  '4-way': ['down', 'left', 'right', 'up'],
+  '8-way': ['down', 'down-left', 'left', 'up-left', 'up', 'up-right', 'right', 'down-right'],
+};
+
+/**
+ * Left-facing directions and the right-facing direction they mirror
+ */
+const MIRRORS = {
+  left: 'right',
+  'down-left': 'down-right',
+  'up-left': 'up-right',
+};
+
+/**
+ * Resolves the directions an animation is generated in
+ * @param {Object} spec - Sprite specification
+ * @param {Object} animConfig - Animation configuration (its directions override the spec's)
+ * @returns {string[]|null} Direction names, or null for a single side-view animation
+ */
+export function resolveDirections(spec, animConfig = {}) {
+  const directions = animConfig.directions ?? spec.directions;
+  if (!directions) return null;
+  return typeof directions === 'string' ? DIRECTION_SETS[directions] : directions;
+}
+
+/**
+ * Plans which directions are generated and which are mirrored
+ * A left-facing direction is a horizontal flip of its right-facing counterpart
+ * when that one is generated too; otherwise it is generated itself
+ * @param {string[]} directions - Direction names
+ * @returns {{direction: string, mirrorOf: string|null}[]} One entry per direction, in order
+ */
+export function planDirections(directions) {
+  return directions.map(direction => ({
+    direction,
+    mirrorOf: MIRRORS[direction] && directions.includes(MIRRORS[direction]) ? MIRRORS[direction] : null,
+  }));
+}
+
+/**
+ * Describes which way the character faces, for prompts
+ * @param {string|null} direction - Direction name, or null for the default side view
+ * @returns {string} Facing instruction
+ */
+export function describeDirection(direction) {
+  return direction ? DIRECTION_PROMPTS[direction] : 'Character faces right';
+}
+
+/**
+ * Name of an animation in one direction, as used for frame names and animations.json keys
+ * @param {string} animName - Animation name
+ * @param {string|null} direction - Direction name
+ * @returns {string} e.g. 'walk_left', or animName when there is no direction
+ */
+export function getDirectionKey(animName, direction) {
+  return direction ? `${animName}_${direction}` : animName;
+}
+
+export default {
+  DIRECTIONS,
+  DIRECTION_SETS,
+  resolveDirections,
+  planDirections,
+  describeDirection,
+  getDirectionKey,
+};
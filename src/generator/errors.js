@@ -0,0 +1,122 @@
+/**
+ * Image generation error taxonomy
+ * Classifies provider failures so each class gets its own retry policy
+ */
+
+/**
+ * Error classes
+ */
+export const ERROR_CLASSES = {
+  TRANSIENT: 'transient',
+  RATE_LIMITED: 'rate-limited',
+  CONTENT_POLICY: 'content-policy',
+  AUTH: 'auth',
+  BAD_REQUEST: 'bad-request',
+  BUDGET: 'budget',
+};
+
+/**
+ * Retry policy per error class
+ * - retry: retry with exponential backoff
+ * - backoff: pause all requests (honoring Retry-After), then retry
+ * - rewrite-prompt: retry once with a softened prompt
+ * - fail: never retry
+ */
+export const ERROR_POLICIES = {
+  [ERROR_CLASSES.TRANSIENT]: 'retry',
+  [ERROR_CLASSES.RATE_LIMITED]: 'backoff',
+  [ERROR_CLASSES.CONTENT_POLICY]: 'rewrite-prompt',
+  [ERROR_CLASSES.AUTH]: 'fail',
+  [ERROR_CLASSES.BAD_REQUEST]: 'fail',
+  [ERROR_CLASSES.BUDGET]: 'fail',
+};
+
+/**
+ * Error raised for a classified generation failure
+ */
+export class GenerationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Classification details
+   * @param {string} details.errorClass - One of ERROR_CLASSES
+   * @param {number} [details.status] - HTTP status, if any
+   * @param {string} [details.code] - Provider error code, if any
+   * @param {Object} [details.headers] - Response headers, if any
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(message, { errorClass, status = null, code = null, headers = null, cause = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GenerationError';
+    this.errorClass = errorClass;
+    this.policy = ERROR_POLICIES[errorClass];
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Classifies an error from an image provider
+ * Already-classified errors are returned unchanged
+ * @param {Error} error - Provider error (OpenAI SDK errors carry status, code and headers)
+ * @returns {GenerationError} Classified error
+ */
+export function classifyError(error) {
+  if (error instanceof GenerationError) {
+    return error;
+  }
+
+  const status = error?.status ?? null;
+  const code = error?.code ?? error?.error?.code ?? null;
+  const message = error?.message || String(error);
+
+  return new GenerationError(message, {
+    errorClass: getErrorClass(status, code, message),
+    status,
+    code,
+    headers: error?.headers ?? null,
+    cause: error,
+  });
+}
+
+/**
+ * Maps status, provider code and message to an error class
+ * @param {number|null} status - HTTP status
+ * @param {string|null} code - Provider error code
+ * @param {string} message - Error message
+ * @returns {string} Error class
+ */
+function getErrorClass(status, code, message) {
+  if (code === 'content_policy_violation' || code === 'moderation_blocked' ||
+      /content polic|safety system|moderation/i.test(message)) {
+    return ERROR_CLASSES.CONTENT_POLICY;
+  }
+
+  // Exhausted quota looks like a 429 but only a billing change fixes it
+  if (status === 401 || status === 403 || code === 'insufficient_quota' ||
+      /api key|OPENAI_API_KEY/i.test(message)) {
+    return ERROR_CLASSES.AUTH;
+  }
+
+  if (status === 429) {
+    return ERROR_CLASSES.RATE_LIMITED;
+  }
+
+  if (status === 408 || status === 409 || (status >= 500 && status < 600)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+
+  if (status >= 400 && status < 500) {
+    return ERROR_CLASSES.BAD_REQUEST;
+  }
+
+  // No status: network errors, timeouts, empty responses
+  return ERROR_CLASSES.TRANSIENT;
+}
+
+export default {
+  ERROR_CLASSES,
+  ERROR_POLICIES,
+  GenerationError,
+  classifyError,
+};
@@ -0,0 +1,191 @@
+/**
+ * Provider-agnostic image generation
+ * Dispatches to the configured image provider and handles retries
+ */
+
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+import { createRateLimiter, sleep } from '../utils/concurrency.js';
+import { getProvider } from './providers/index.js';
+import { readCachedImage, writeCachedImage } from './cache.js';
+import { classifyError, GenerationError } from './errors.js';
+import { buildContentSafePrompt } from './prompt-builder.js';
+
+// Shared by every concurrent generation so a 429 backs off all of them
+const rateLimiter = createRateLimiter({
+  requestsPerMinute: config.generation.requestsPerMinute,
+});
+
+/**
+ * Generates image with automatic retry on failure
+ * Each failure is classified (see errors.js) and handled by its class's policy
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options (passed through to the provider)
+ * @param {string} options.provider - Provider name (default: config.generation.provider)
+ * @param {boolean} options.cache - Serve/store results in the generation cache (default: config.cache.enabled)
+ * @param {Buffer} options.reference - Reference image; routes the request through the provider's editImage
+ * @param {Object} options.tracker - Cost tracker for the run (see cost-tracker.js)
+ * @param {Object} options.progress - Progress handle that reports retries while spinners run (default: the logger)
+ * @param {string} options.label - Name the retries are reported under (e.g. the strip label)
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {Promise<Buffer>} Generated image buffer
+ * @throws {GenerationError} When the failure is not retryable or retries are exhausted
+ */
+export async function generateImageWithRetry(prompt, options = {}, maxRetries = null) {
+  const [imageBuffer] = await generateImageCandidates(prompt, { ...options, n: 1 }, maxRetries);
+  return imageBuffer;
+}
+
+/**
+ * Generates several candidate images for one prompt, with the same retry
+ * policies as generateImageWithRetry
+ * Candidates already in the cache are reused; only the missing ones are requested
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} options - Generation options (see generateImageWithRetry)
+ * @param {number} options.n - Number of candidates (default: 1)
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {Promise<Buffer[]>} Generated image buffers, in candidate order
+ * @throws {GenerationError} When the failure is not retryable or retries are exhausted
+ */
+export async function generateImageCandidates(prompt, options = {}, maxRetries = null) {
+  const maxTries = maxRetries ?? config.generation.maxRetries;
+  if (!Number.isInteger(maxTries)) {
+    throw new Error(`Max retries must be a whole number, got '${maxTries}' (MAX_RETRIES)`);
+  }
+  // Every request is tried at least once, even with MAX_RETRIES=0
+  const retries = Math.max(1, maxTries);
+  const delayMs = config.generation.retryDelayMs;
+  const provider = getProvider(options.provider);
+  const useCache = (options.cache ?? true) && config.cache.enabled;
+  const cacheOptions = { ...options, provider: provider.name };
+  const count = Math.max(1, options.n ?? 1);
+  const images = [];
+
+  if (useCache) {
+    while (images.length < count) {
+      const cached = await readCachedImage(prompt, { ...cacheOptions, candidate: images.length });
+      if (!cached) break;
+      options.tracker?.recordCacheHit();
+      images.push(cached);
+    }
+
+    if (images.length === count) {
+      return images;
+    }
+  }
+
+  const requestOptions = { ...options, n: count - images.length };
+  let lastError = null;
+  let requestPrompt = prompt;
+  let attempt = 0;
+
+  while (attempt < retries) {
+    attempt++;
+
+    // Throws a 'budget' GenerationError before the call if it would exceed the run's budget
+    const reservation = options.tracker?.reserveImage(requestOptions) ?? null;
+
+    try {
+      await rateLimiter.acquire();
+      logger.debug(`Generation attempt ${attempt}/${retries} (${provider.name})`);
+      const generated = options.reference
+        ? await provider.editImages(requestPrompt, options.reference, requestOptions)
+        : await provider.generateImages(requestPrompt, requestOptions);
+      options.tracker?.settleImage(reservation, true);
+
+      // Stored under the original prompt so a rewritten request is reused next run
+      for (const imageBuffer of generated) {
+        if (useCache) {
+          await writeCachedImage(prompt, { ...cacheOptions, candidate: images.length }, imageBuffer);
+        }
+        images.push(imageBuffer);
+      }
+      return images;
+    } catch (error) {
+      if (reservation) options.tracker.settleImage(reservation, false);
+      lastError = classifyError(error);
+      reportRetry(options, 'warn', `Attempt ${attempt} failed [${lastError.errorClass}]: ${lastError.message}`);
+
+      if (lastError.policy === 'fail' || attempt >= retries) {
+        break;
+      }
+
+      if (lastError.policy === 'rewrite-prompt') {
+        // One rewrite only; a rewritten prompt that is still rejected will not pass
+        if (requestPrompt !== prompt) break;
+        reportRetry(options, 'info', 'Prompt rejected by content filter - retrying with softened wording');
+        requestPrompt = buildContentSafePrompt(prompt);
+        continue;
+      }
+
+      // Exponential backoff with jitter, unless the server says how long to wait
+      const retryAfter = getRetryAfterMs(lastError);
+      const waitTime = retryAfter ?? Math.round(delayMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+
+      if (lastError.policy === 'backoff') {
+        rateLimiter.pause(waitTime);
+      }
+
+      logger.debug(`Waiting ${waitTime}ms before retry${retryAfter !== null ? ' (Retry-After)' : ''}...`);
+      await sleep(waitTime);
+    }
+  }
+
+  throw new GenerationError(
+    `Image generation failed after ${attempt} attempt${attempt === 1 ? '' : 's'} [${lastError.errorClass}]: ${lastError.message}`,
+    { errorClass: lastError.errorClass, status: lastError.status, code: lastError.code, cause: lastError }
+  );
+}
+
+/**
+ * Reports a failed attempt through the progress handle, or the logger when there is none
+ * @param {Object} options - Generation options (progress, label)
+ * @param {string} level - Logger method used without a progress handle ('warn' or 'info')
+ * @param {string} message - Message
+ */
+function reportRetry(options, level, message) {
+  if (options.progress) {
+    options.progress.warn(`  ${options.label ? `${options.label}: ` : ''}${message}`);
+  } else {
+    logger[level](message);
+  }
+}
+
+/**
+ * Reads the server-requested delay from a failed response's headers
+ * Supports retry-after-ms, and retry-after as seconds or an HTTP date
+ * @param {Error} error - API error (OpenAI SDK errors carry response headers)
+ * @returns {number|null} Delay in milliseconds, or null if none was given
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers;
+  if (!headers) return null;
+
+  const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(read('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.round(retryAfterMs);
+  }
+
+  const retryAfter = read('retry-after');
+  if (retryAfter == null) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+export default {
+  generateImageWithRetry,
+  generateImageCandidates,
+  getRetryAfterMs,
+};
@@ -0,0 +1,45 @@
+/**
+ * Image generator retry tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../utils/logger.js';
+import { localProvider } from './providers/local-provider.js';
+import { generateImageWithRetry } from './image-generator.js';
+import { GenerationError, ERROR_CLASSES } from './errors.js';
+
+test('a retry count of 0 still makes one attempt and reports the classified error', async (t) => {
+  logger.setLevel('error');
+  const generateImages = t.mock.method(localProvider, 'generateImages', async () => {
+    throw Object.assign(new Error('invalid size'), { status: 400 });
+  });
+
+  await assert.rejects(
+    generateImageWithRetry('prompt', { provider: 'local', cache: false, width: 32, height: 32 }, 0),
+    error => error instanceof GenerationError && error.errorClass === ERROR_CLASSES.BAD_REQUEST
+  );
+  assert.equal(generateImages.mock.callCount(), 1);
+});
+
+test('failed attempts are reported through the progress handle instead of the logger', async (t) => {
+  logger.setLevel('error');
+  t.mock.method(localProvider, 'generateImages', async () => {
+    throw Object.assign(new Error('invalid size'), { status: 400 });
+  });
+  const warn = t.mock.method(logger, 'warn');
+  const messages = [];
+  const progress = { warn: message => messages.push(message) };
+
+  await assert.rejects(generateImageWithRetry('prompt', {
+    provider: 'local',
+    cache: false,
+    width: 32,
+    height: 32,
+    progress,
+    label: 'walk',
+  }, 1));
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /walk: Attempt 1 failed \[bad-request\]/);
+});
@@ -2,10 +2,33 @@
  * Main generator module - orchestrates sprite generation
  */
 
-export { generateImage, generateImageWithRetry, refinePrompt } from './openai-client.js';
+export { generateImage, refinePrompt } from './openai-client.js';
+export { generateImageWithRetry, generateImageCandidates } from './image-generator.js';
+export { getProvider, listProviders } from './providers/index.js';
+export { ERROR_CLASSES, GenerationError, classifyError } from './errors.js';
+export { listCache, pruneCache, getCacheDir, hasCachedImage } from './cache.js';
+export { refineStripPrompt, getSpecHash } from './prompt-refiner.js';
+export { createCostTracker, estimateImageCost, formatCost } from './cost-tracker.js';
+export { LAYOUTS, planStripParts, planGrid, getPartLabel } from './layout.js';
+export { STYLE_PRESETS, listStyles, resolveStyle, describeStyle } from './styles.js';
+export {
+  DIRECTIONS,
+  DIRECTION_SETS,
+  resolveDirections,
+  planDirections,
+  getDirectionKey
+} from './directions.js';
+export { resolvePlayback, getFrameDuration } from './playback.js';
+export { SPEC_SCHEMA } from './spec-schema.js';
+export { VARIANT_OVERRIDES, loadSpec, mergeSpecs, resolveVariants } from './spec-loader.js';
+export { TEMPLATE_KINDS, TEMPLATE_PLACEHOLDERS, resolveTemplate, renderTemplate } from './templates.js';
 export {
   buildSpriteStripPrompt,
+  buildModelSheetPrompt,
+  buildCorrectionPrompt,
+  buildContentSafePrompt,
   buildSingleFramePrompt,
+  resolveMotion,
   validateSpec,
   createDefaultSpec
 } from './prompt-builder.js';
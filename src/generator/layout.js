@@ -0,0 +1,127 @@
+/**
+ * Strip layout planning
+ * Splits animations longer than the per-strip limit into overlapping sub-strips,
+ * and fits grid layouts to the image model's supported canvas sizes
+ */
+
+import { config } from '../config.js';
+import { getSupportedSize } from './openai-client.js';
+
+/**
+ * Frame layouts a strip can be requested in
+ */
+export const LAYOUTS = ['strip', 'grid'];
+
+/**
+ * One generated strip of an animation
+ * @typedef {Object} StripPart
+ * @property {number} index - Part index
+ * @property {number} count - Number of parts in the animation
+ * @property {number} start - Index of the part's first frame in the animation
+ * @property {number} frames - Frames drawn in this part, including the overlap
+ * @property {number} overlap - Leading frames that repeat the end of the previous part
+ * @property {number} totalFrames - Frames in the whole animation
+ */
+
+/**
+ * Plans the strips needed for an animation
+ * Parts are balanced so none is much shorter than the others; every part after
+ * the first starts with the last `overlap` frames of the one before it
+ * @param {number} frameCount - Frames in the animation
+ * @param {Object} options - Planning options
+ * @param {number} options.maxFrames - Frames per strip (default: config.generation.maxFramesPerStrip)
+ * @param {number} options.overlap - Shared frames between parts (default: config.generation.stripOverlap)
+ * @returns {StripPart[]} Parts in frame order (a single part when the animation fits one strip)
+ */
+export function planStripParts(frameCount, options = {}) {
+  const {
+    maxFrames = config.generation.maxFramesPerStrip,
+    overlap: requestedOverlap = config.generation.stripOverlap,
+  } = options;
+
+  if (frameCount <= maxFrames) {
+    return [{ index: 0, count: 1, start: 0, frames: frameCount, overlap: 0, totalFrames: frameCount }];
+  }
+
+  const overlap = Math.max(0, Math.min(requestedOverlap, maxFrames - 1));
+  const count = 1 + Math.ceil((frameCount - maxFrames) / (maxFrames - overlap));
+  const drawn = frameCount + (count - 1) * overlap;
+  const parts = [];
+  let start = 0;
+
+  for (let index = 0; index < count; index++) {
+    const frames = Math.floor(drawn / count) + (index < drawn % count ? 1 : 0);
+    parts.push({
+      index,
+      count,
+      start,
+      frames,
+      overlap: index === 0 ? 0 : overlap,
+      totalFrames: frameCount,
+    });
+    start += frames - overlap;
+  }
+
+  return parts;
+}
+
+/**
+ * Grid layout for one generated image
+ * @typedef {Object} GridLayout
+ * @property {number} columns - Frames per row
+ * @property {number} rows - Number of rows
+ * @property {number} frames - Frames in the grid (the last row may have empty cells)
+ * @property {number} width - Grid width in pixels
+ * @property {number} height - Grid height in pixels
+ * @property {string} size - Supported API size the grid is generated at
+ */
+
+/**
+ * Chooses the rows x columns grid whose aspect ratio best matches a supported
+ * image size, so the generated canvas is resized as little as possible
+ * Frames read left to right, top to bottom
+ * @param {number} frameCount - Frames to lay out
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @returns {GridLayout} Grid layout
+ */
+export function planGrid(frameCount, frameWidth, frameHeight) {
+  let best = null;
+
+  // Widest first, so ties keep the layout closest to a strip
+  for (let columns = frameCount; columns >= 1; columns--) {
+    const rows = Math.ceil(frameCount / columns);
+    const width = columns * frameWidth;
+    const height = rows * frameHeight;
+    const size = getSupportedSize(width, height);
+    const [sizeWidth, sizeHeight] = size.split('x').map(Number);
+
+    // Distortion from resizing to the API size, plus a small charge per empty cell
+    const distortion = Math.abs(Math.log((width / height) / (sizeWidth / sizeHeight)));
+    const cost = distortion + (rows * columns - frameCount) * 0.05;
+
+    if (!best || cost < best.cost - 1e-9) {
+      best = { columns, rows, frames: frameCount, width, height, size, cost };
+    }
+  }
+
+  const { cost, ...grid } = best;
+  return grid;
+}
+
+/**
+ * Name used for a part's files, fixtures and cached refinements
+ * @param {string} animName - Animation name
+ * @param {StripPart} part - Strip part
+ * @returns {string} The animation name, or '<animation>_part<n>' for chunked animations
+ */
+export function getPartLabel(animName, part) {
+  return part.count > 1 ? `${animName}_part${part.index + 1}` : animName;
+}
+
+export default {
+  LAYOUTS,
+  planStripParts,
+  planGrid,
+  getPartLabel,
+};
@@ -3,9 +3,11 @@
  * Uses GPT Image 1.5 for generating pixel art sprites
  */
 
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
 import { config } from '../config.js';
 import logger from '../utils/logger.js';
+import { classifyError, GenerationError, ERROR_CLASSES } from './errors.js';
+import { resolveStyle, describeStyle } from './styles.js';
 
 let client = null;
 
@@ -16,7 +18,7 @@ let client = null;
 function getClient() {
   if (!client) {
     if (!config.openai.apiKey) {
-      throw new Error('OPENAI_API_KEY is not configured');
+      throw new GenerationError('OPENAI_API_KEY is not configured', { errorClass: ERROR_CLASSES.AUTH });
     }
     client = new OpenAI({
       apiKey: config.openai.apiKey,
@@ -35,54 +37,117 @@ function getClient() {
  * @returns {Promise<Buffer>} Generated image as PNG buffer
  */
 export async function generateImage(prompt, options = {}) {
+  const [imageBuffer] = await generateImages(prompt, { ...options, n: 1 });
+  return imageBuffer;
+}
+
+/**
+ * Generates several candidate images from one prompt in a single request
+ * @param {string} prompt - The image generation prompt
+ * @param {Object} options - Generation options (see generateImage)
+ * @param {number} options.n - Number of images (default: 1)
+ * @returns {Promise<Buffer[]>} Generated images as PNG buffers
+ */
+export async function generateImages(prompt, options = {}) {
   const openai = getClient();
 
-  const { width = 512, height = 512, quality = 'high' } = options;
+  const { width = 512, height = 512, quality = 'high', n = 1 } = options;
 
   // Determine size parameter - OpenAI accepts specific sizes
   // We'll use the closest supported size and resize if needed
   const size = getSupportedSize(width, height);
 
-  logger.debug(`Generating image: ${width}x${height} (using ${size})`);
+  logger.debug(`Generating ${n} image${n === 1 ? '' : 's'}: ${width}x${height} (using ${size})`);
   logger.debug(`Prompt: ${prompt.substring(0, 100)}...`);
 
   try {
     const response = await openai.images.generate({
       model: config.openai.imageModel,
       prompt: prompt,
-      n: 1,
+      n: n,
       size: size,
       response_format: 'b64_json',
       quality: quality,
     });
 
-    if (!response.data || response.data.length === 0) {
-      throw new Error('No image data in response');
-    }
+    return decodeImages(response);
+  } catch (error) {
+    throw classifyError(error);
+  }
+}
 
-    const base64Data = response.data[0].b64_json;
-    const imageBuffer = Buffer.from(base64Data, 'base64');
+/**
+ * Generates an image conditioned on a reference image via the image-edit endpoint
+ * @param {string} prompt - The image generation prompt
+ * @param {Buffer} referenceBuffer - Reference PNG (canonical character design)
+ * @param {Object} options - Generation options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {string} options.quality - Quality setting ('low', 'medium', 'high')
+ * @returns {Promise<Buffer>} Generated image as PNG buffer
+ */
+export async function editImage(prompt, referenceBuffer, options = {}) {
+  const [imageBuffer] = await editImages(prompt, referenceBuffer, { ...options, n: 1 });
+  return imageBuffer;
+}
+
+/**
+ * Generates several reference-conditioned candidates in a single request
+ * @param {string} prompt - The image generation prompt
+ * @param {Buffer} referenceBuffer - Reference PNG (canonical character design)
+ * @param {Object} options - Generation options (see editImage)
+ * @param {number} options.n - Number of images (default: 1)
+ * @returns {Promise<Buffer[]>} Generated images as PNG buffers
+ */
+export async function editImages(prompt, referenceBuffer, options = {}) {
+  const openai = getClient();
+
+  const { width = 512, height = 512, quality = 'high', n = 1 } = options;
+  const size = getSupportedSize(width, height);
+
+  logger.debug(`Generating ${n} image${n === 1 ? '' : 's'} from reference: ${width}x${height} (using ${size})`);
+  logger.debug(`Prompt: ${prompt.substring(0, 100)}...`);
 
-    logger.debug(`Generated image: ${imageBuffer.length} bytes`);
+  try {
+    const response = await openai.images.edit({
+      model: config.openai.imageModel,
+      image: await toFile(referenceBuffer, 'reference.png', { type: 'image/png' }),
+      prompt: prompt,
+      n: n,
+      size: size,
+      quality: quality,
+    });
 
-    return imageBuffer;
+    return decodeImages(response);
   } catch (error) {
-    if (error.status === 400) {
-      logger.error('Bad request - prompt may be invalid or rejected');
-    } else if (error.status === 429) {
-      logger.error('Rate limited - please wait before retrying');
-    }
-    throw error;
+    throw classifyError(error);
   }
 }
 
+/**
+ * Decodes the base64 images in an images API response
+ * @param {Object} response - Images API response
+ * @returns {Buffer[]} PNG buffers
+ */
+function decodeImages(response) {
+  if (!response.data || response.data.length === 0) {
+    throw new Error('No image data in response');
+  }
+
+  const imageBuffers = response.data.map(item => Buffer.from(item.b64_json, 'base64'));
+
+  logger.debug(`Generated ${imageBuffers.length} image(s): ${imageBuffers.map(b => b.length).join(', ')} bytes`);
+
+  return imageBuffers;
+}
+
 /**
  * Maps requested dimensions to supported OpenAI image sizes
  * @param {number} width - Requested width
  * @param {number} height - Requested height
  * @returns {string} Supported size string
  */
-function getSupportedSize(width, height) {
+export function getSupportedSize(width, height) {
   // OpenAI DALL-E/GPT Image supported sizes
   const supportedSizes = [
     { w: 1024, h: 1024, str: '1024x1024' },
@@ -108,20 +173,21 @@ function getSupportedSize(width, height) {
  * Uses GPT text model to refine or validate prompts
  * @param {string} userPrompt - Initial user prompt
  * @param {Object} context - Additional context for refinement
+ * @param {string} context.style - ART STYLE lines of the spec's style (see describeStyle; default: the default preset)
  * @returns {Promise<string>} Refined prompt
  */
 export async function refinePrompt(userPrompt, context = {}) {
   const openai = getClient();
+  const style = context.style ?? describeStyle(resolveStyle({}));
 
   const systemPrompt = `You are an expert at crafting prompts for AI image generation,
 specifically for pixel art game sprites. Your job is to refine the user's prompt
 to ensure it produces:
-- Clean 16-bit era pixel art with no anti-aliasing or blur
-- Maximum 16-color palette
-- Bold 1px black outline around the character
+${style}
 - True transparent background (not checkerboard, not solid color)
 - Consistent character positioning and baseline
 
+Keep these style requirements exactly; do not change the era, color count or outline.
 Respond with ONLY the refined prompt, no explanation.`;
 
   const refinementRequest = `
@@ -148,53 +214,15 @@ Refine this prompt for pixel art sprite generation:`;
 
     return response.choices[0].message.content.trim();
   } catch (error) {
-    logger.warn('Prompt refinement failed, using original prompt');
-    return userPrompt;
+    throw classifyError(error);
   }
 }
 
-/**
- * Generates image with automatic retry on failure
- * @param {string} prompt - Image generation prompt
- * @param {Object} options - Generation options
- * @param {number} maxRetries - Maximum retry attempts
- * @returns {Promise<Buffer>} Generated image buffer
- */
-export async function generateImageWithRetry(prompt, options = {}, maxRetries = null) {
-  const retries = maxRetries ?? config.generation.maxRetries;
-  const delayMs = config.generation.retryDelayMs;
-
-  let lastError = null;
-
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      logger.debug(`Generation attempt ${attempt}/${retries}`);
-      return await generateImage(prompt, options);
-    } catch (error) {
-      lastError = error;
-      logger.warn(`Attempt ${attempt} failed: ${error.message}`);
-
-      if (attempt < retries) {
-        const waitTime = delayMs * attempt; // Exponential backoff
-        logger.debug(`Waiting ${waitTime}ms before retry...`);
-        await sleep(waitTime);
-      }
-    }
-  }
-
-  throw new Error(`Image generation failed after ${retries} attempts: ${lastError?.message}`);
-}
-
-/**
- * Sleep utility
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 export default {
   generateImage,
-  generateImageWithRetry,
+  generateImages,
+  editImage,
+  editImages,
   refinePrompt,
+  getSupportedSize,
 };
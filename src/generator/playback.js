@@ -0,0 +1,46 @@
+/**
+ * Animation playback
+ * Resolves how an animation plays back (looping, repeats, ping-pong, per-frame
+ * timing) from its spec settings, for animations.json
+ */
+
+/**
+ * Resolved playback settings
+ * @typedef {Object} Playback
+ * @property {boolean} loop - Plays forever
+ * @property {number} repeat - Extra plays after the first (-1 when looping)
+ * @property {boolean} yoyo - Plays forwards then backwards (ping-pong)
+ * @property {number} repeatDelay - Pause in milliseconds before each repeat
+ */
+
+/**
+ * Resolves an animation's playback settings
+ * Animations loop unless they set loop: false or a repeat count
+ * @param {Object} animConfig - Animation configuration
+ * @returns {Playback} Playback settings
+ */
+export function resolvePlayback(animConfig = {}) {
+  const loop = animConfig.loop ?? animConfig.repeat === undefined;
+
+  return {
+    loop,
+    repeat: loop ? -1 : animConfig.repeat ?? 0,
+    yoyo: animConfig.yoyo ?? false,
+    repeatDelay: animConfig.repeatDelay ?? 0,
+  };
+}
+
+/**
+ * Looks up the display time of one frame
+ * @param {Object} animConfig - Animation configuration
+ * @param {number} frameIndex - Frame index, counted from 0
+ * @returns {number|null} Milliseconds the frame is shown, or null to use the animation's fps
+ */
+export function getFrameDuration(animConfig = {}, frameIndex) {
+  return animConfig.durations?.[frameIndex + 1] ?? null;
+}
+
+export default {
+  resolvePlayback,
+  getFrameDuration,
+};
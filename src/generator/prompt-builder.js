@@ -3,10 +3,17 @@
  * Constructs optimized prompts for GPT Image model
  */
 
+import { resolveStyle, describeStyle } from './styles.js';
+import { describeDirection } from './directions.js';
+import { TEMPLATE_KINDS, resolveTemplate, renderTemplate, checkTemplate } from './templates.js';
+import { SPEC_SCHEMA } from './spec-schema.js';
+import { resolveVariants } from './spec-loader.js';
+import { resolvePlayback } from './playback.js';
+import { validateSchema, childPointer } from '../validator/json-schema.js';
 import { config } from '../config.js';
 
 /**
- * Animation-specific prompt enhancements
+ * Built-in motion descriptions; specs (motions) and the project prompts file can add more
  */
 const ANIMATION_PROMPTS = {
   idle: 'standing still with subtle breathing motion, slight bob up and down',
@@ -21,55 +28,154 @@ const ANIMATION_PROMPTS = {
   swim: 'swimming stroke motion, arms and legs paddling',
 };
 
+/**
+ * Corrective instructions keyed by validator issue code
+ * Each entry receives { frames, frameWidth, frameHeight, detectedFrames, grid, colors, maxColors, palette,
+ *   partialAlpha }
+ */
+const CORRECTION_PROMPTS = {
+  transparency: () =>
+    'The background was NOT transparent. Every pixel outside the character MUST have alpha = 0. ' +
+    'Do not draw a floor, sky, checkerboard, white or colored backdrop.',
+  'frame-count': ({ frames, detectedFrames, grid }) =>
+    `The ${grid ? 'grid' : 'strip'} contained ${detectedFrames ?? 'the wrong number of'} figures instead of exactly ${frames}. ` +
+    `Draw exactly ${frames} separate poses ${grid ? 'in the grid, one per cell' : 'in one row'}, with clear transparent gaps between them and nothing overlapping.`,
+  dimensions: ({ frames, frameWidth, frameHeight, grid }) =>
+    `Lay the ${frames} frames out as ${grid ? `a grid of ${grid.columns} columns x ${grid.rows} rows` : 'a single horizontal row'} of ${frameWidth}x${frameHeight} cells.`,
+  colors: ({ colors, maxColors }) =>
+    `The image used ${colors ?? 'too many'} colors. Use at most ${maxColors} flat colors in total, ` +
+    'with no anti-aliasing, gradients, soft shadows or blurred edges.',
+  palette: ({ palette }) =>
+    `The colors did not match the project palette. Use ONLY these colors: ${palette.join(', ')}.`,
+  'partial-alpha': ({ partialAlpha }) =>
+    `The sprite had ${partialAlpha ?? 'many'} semi-transparent pixels. Every pixel MUST be either fully opaque or fully transparent: ` +
+    'hard pixel edges, no anti-aliasing, glow, motion blur or soft shadows.',
+  alpha: () => 'The image MUST be an RGBA PNG with a real alpha channel.',
+  channels: () => 'The image MUST be an RGBA PNG with a real alpha channel.',
+};
+
+/**
+ * Softer wording for terms that commonly trip content filters
+ */
+const CONTENT_SAFE_TERMS = [
+  [/\bblood(y)?\b/gi, 'red'],
+  [/\bgore\b|\bgory\b/gi, 'dramatic'],
+  [/\bkill(ing|s|ed)?\b/gi, 'defeat'],
+  [/\bdeath\b/gi, 'knockout'],
+  [/\bdying\b/gi, 'fainting'],
+  [/\bcorpse\b/gi, 'fallen figure'],
+  [/\bgun(s)?\b/gi, 'blaster'],
+];
+
 /**
  * Builds a comprehensive prompt for sprite strip generation
  * @param {Object} spec - Sprite specification
  * @param {string} animationName - Name of the animation
  * @param {Object} animationConfig - Animation configuration
- * @returns {string} Complete prompt for image generation
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.hasReference - A reference image of the character is attached
+ * @param {Object} options.part - Sub-strip of a longer animation (see layout.js); animationConfig.frames is the part's frame count
+ * @param {boolean} options.previousPart - The attached reference is the previous part's strip rather than the canonical design
+ * @param {Object} options.grid - Grid layout from planGrid; the frames are requested as a grid instead of a row
+ * @param {string} options.direction - Facing direction for directional sprites (default: side view facing right)
+ * @returns {string} Complete prompt for image generation (the spec's strip template, if it has one)
  */
-export function buildSpriteStripPrompt(spec, animationName, animationConfig) {
+export function buildSpriteStripPrompt(spec, animationName, animationConfig, options = {}) {
   const { character, frameWidth, frameHeight } = spec;
   const { frames } = animationConfig;
+  const { hasReference = false, part = null, grid = null, direction = null, previousPart = false } = options;
+  const style = resolveStyle(spec);
 
-  const totalWidth = frameWidth * frames;
-  const totalHeight = frameHeight;
+  const totalWidth = grid ? grid.width : frameWidth * frames;
+  const totalHeight = grid ? grid.height : frameHeight;
+  const emptyCells = grid ? grid.columns * grid.rows - frames : 0;
 
   // Get animation-specific motion description
-  const motionDescription = ANIMATION_PROMPTS[animationName.toLowerCase()]
+  const motionDescription = resolveMotion(spec, animationName, animationConfig)
     || `performing ${animationName} animation`;
+  const keyframes = describeKeyframes(animationConfig.keyframes, part ? part.start : 0, frames);
+  const playback = describePlayback(animationConfig);
+
+  const layout = (grid
+    ? [
+      `- Exactly ${frames} frames arranged in a grid of ${grid.columns} columns x ${grid.rows} rows`,
+      '- Frames are read left to right, top to bottom',
+      emptyCells > 0 ? `- Leave the last ${emptyCells === 1 ? 'cell' : `${emptyCells} cells`} of the bottom row completely empty (transparent)` : null,
+    ]
+    : [`- Exactly ${frames} frames arranged horizontally in a single row`]
+  ).filter(Boolean).join('\n');
+
+  const reference = !hasReference ? '' : previousPart && part
+    ? `REFERENCE IMAGE: The attached image is part ${part.index} of this animation, the strip directly before this one.
+- Match the character's proportions, outfit, colors, palette and outline exactly
+- Continue the motion from its last frame - the character must be recognizably identical`
+    : `REFERENCE IMAGE: The attached image is the canonical design of this exact character.
+- Match its proportions, outfit, colors, palette and outline exactly
+- Only the pose changes between frames - the character must be recognizably identical`;
+
+  const sequence = part ? `SEQUENCE: This strip is part ${part.index + 1} of ${part.count} of a ${part.totalFrames}-frame animation and shows frames ${part.start + 1}-${part.start + part.frames}.
+${part.overlap > 0
+    ? `- The first ${part.overlap === 1 ? 'frame repeats the last pose' : `${part.overlap} frames repeat the last ${part.overlap} poses`} of part ${part.index} - continue the motion from there`
+    : '- It begins the motion'}
+${part.index < part.count - 1 ? '- The motion continues in the next part - do not complete or loop it within this strip' : '- It completes the motion'}` : '';
+
+  const template = resolveTemplate(spec, 'strip');
+  if (template) {
+    return renderTemplate(template, {
+      ...describeCharacter(spec),
+      animation: animationName,
+      motion: motionDescription,
+      frames,
+      fps: animationConfig.fps,
+      frameWidth,
+      frameHeight,
+      width: totalWidth,
+      height: totalHeight,
+      layout,
+      direction: describeDirection(direction),
+      style: describeStyle(style),
+      keyframes,
+      playback,
+      reference,
+      sequence,
+    });
+  }
 
   // Build the comprehensive prompt
-  const prompt = `Create a horizontal sprite strip for a video game character:
+  const prompt = `Create a ${grid ? 'sprite sheet grid' : 'horizontal sprite strip'} for a video game character:
 
 CHARACTER: ${character.description}
 ${character.details ? `DETAILS: ${character.details}` : ''}
-
+${reference ? `
+${reference}
+` : ''}
 TECHNICAL REQUIREMENTS (CRITICAL):
-- Exactly ${frames} frames arranged horizontally in a single row
+${layout}
 - Each frame is exactly ${frameWidth}x${frameHeight} pixels
 - Total image size: exactly ${totalWidth}x${totalHeight} pixels
 - TRUE TRANSPARENT BACKGROUND - pure alpha transparency, NOT checkerboard, NOT solid color
 - PNG format with RGBA channels
 
 ART STYLE (STRICT):
-- 16-bit era pixel art style (like SNES/Genesis games)
-- Maximum ${config.style.maxColors} colors in palette
-- Clean, crisp pixels with NO anti-aliasing, NO blur, NO smoothing
-- Bold ${config.style.outlineWidth}px black outline around the character
-- No dithering or gradient effects
+${describeStyle(style)}
 
 ANIMATION: ${animationName.toUpperCase()}
 - ${motionDescription}
 - Character should be centered in each frame
 - Consistent baseline/ground level across all frames
 - Smooth progression from first frame to last frame
-- Animation should loop seamlessly if applicable
-
+${playback}
+${keyframes ? `
+KEYFRAMES (frames numbered from 1 within this ${grid ? 'grid' : 'strip'}):
+${keyframes}
+` : ''}${sequence ? `
+${sequence}
+` : ''}
 COMPOSITION:
-- Character faces right in all frames
-- Each frame clearly separated (no overlap)
-- Equal spacing between frames
+- ${describeDirection(direction)} in all frames
+${direction ? `- Top-down game perspective - keep the same camera angle for every direction
+` : ''}- Each frame clearly separated (no overlap)
+- Equal spacing between frames${grid ? ' - every figure stays inside its own cell' : ''}
 - No background elements, props, or effects outside the character
 - Pure transparent space around the character in each frame
 
@@ -78,22 +184,102 @@ This is for a 2D game engine - the transparency MUST be true alpha channel trans
   return prompt;
 }
 
+/**
+ * Builds a prompt for a canonical model-sheet frame used as a reference image
+ * @param {Object} spec - Sprite specification
+ * @returns {string} Prompt for the reference frame
+ */
+export function buildModelSheetPrompt(spec) {
+  const { character, frameWidth, frameHeight } = spec;
+
+  return `Create a single pixel art model-sheet frame defining a video game character's canonical design:
+
+CHARACTER: ${character.description}
+${character.details ? `DETAILS: ${character.details}` : ''}
+
+TECHNICAL REQUIREMENTS:
+- One neutral standing pose, full body visible
+- Designed for ${frameWidth}x${frameHeight} pixel frames
+- TRUE TRANSPARENT BACKGROUND (alpha = 0)
+- PNG with RGBA channels
+
+ART STYLE:
+${describeStyle(resolveStyle(spec), { compact: true })}
+
+COMPOSITION:
+- Character faces right, centered
+- Clear, readable silhouette showing every costume detail`;
+}
+
+/**
+ * Appends corrective instructions for the validation failures of a previous attempt
+ * @param {string} basePrompt - Original strip prompt
+ * @param {string[]} issues - Validator issue codes from the previous attempt
+ * @param {Object} context - Values referenced by corrections
+ * @param {number} context.frames - Expected frame count
+ * @param {number} context.frameWidth - Frame width
+ * @param {number} context.frameHeight - Frame height
+ * @param {number} context.detectedFrames - Frames detected in the previous attempt
+ * @param {Object} [context.grid] - Grid layout, when frames are requested as a grid
+ * @param {number} [context.colors] - Colors in the previous attempt
+ * @param {number} [context.maxColors] - Colors allowed
+ * @param {string[]} [context.palette] - Project palette colors
+ * @returns {string} Corrected prompt (unchanged if no issue has a correction)
+ */
+export function buildCorrectionPrompt(basePrompt, issues, context = {}) {
+  const corrections = [...new Set(issues)]
+    .filter(issue => CORRECTION_PROMPTS[issue])
+    .map(issue => CORRECTION_PROMPTS[issue](context));
+
+  if (corrections.length === 0) {
+    return basePrompt;
+  }
+
+  return `${basePrompt}
+
+CORRECTIONS (the previous attempt failed validation - fix these):
+${[...new Set(corrections)].map(c => `- ${c}`).join('\n')}`;
+}
+
+/**
+ * Rewrites a prompt that was rejected by a content filter
+ * Softens violent wording and states the family-friendly game-art context
+ * @param {string} prompt - Rejected prompt
+ * @returns {string} Rewritten prompt
+ */
+export function buildContentSafePrompt(prompt) {
+  const softened = CONTENT_SAFE_TERMS.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    prompt
+  );
+
+  return `${softened}
+
+CONTENT: Family-friendly cartoon video game art. No gore, no realistic violence, no real people.`;
+}
+
 /**
  * Builds a prompt for a single animation frame (fallback method)
  * @param {Object} spec - Sprite specification
  * @param {string} animationName - Animation name
  * @param {number} frameIndex - Frame number in animation
  * @param {number} totalFrames - Total frames in animation
- * @returns {string} Prompt for single frame
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.hasReference - A reference image of the character is attached
+ * @param {string} options.direction - Facing direction for directional sprites (default: side view facing right)
+ * @param {Object} options.animationConfig - Animation configuration (custom motion and keyframe notes)
+ * @returns {string} Prompt for single frame (the spec's frame template, if it has one)
  */
-export function buildSingleFramePrompt(spec, animationName, frameIndex, totalFrames) {
+export function buildSingleFramePrompt(spec, animationName, frameIndex, totalFrames, options = {}) {
   const { character, frameWidth, frameHeight } = spec;
+  const { hasReference = false, direction = null, animationConfig = {} } = options;
 
-  const motionDescription = ANIMATION_PROMPTS[animationName.toLowerCase()]
+  const motionDescription = resolveMotion(spec, animationName, animationConfig)
     || `performing ${animationName}`;
+  const keyframe = animationConfig.keyframes?.[frameIndex + 1] ?? '';
 
   // Determine frame position in animation cycle
-  const progress = frameIndex / (totalFrames - 1);
+  const progress = totalFrames > 1 ? frameIndex / (totalFrames - 1) : 0;
   let phaseDescription = '';
 
   if (progress === 0) {
@@ -106,68 +292,262 @@ export function buildSingleFramePrompt(spec, animationName, frameIndex, totalFra
     phaseDescription = 'at the end of the motion';
   }
 
+  const template = resolveTemplate(spec, 'frame');
+  if (template) {
+    return renderTemplate(template, {
+      ...describeCharacter(spec),
+      animation: animationName,
+      motion: motionDescription,
+      frame: frameIndex + 1,
+      frames: totalFrames,
+      frameWidth,
+      frameHeight,
+      phase: phaseDescription,
+      keyframe,
+      direction: describeDirection(direction),
+      style: describeStyle(resolveStyle(spec), { compact: true }),
+      reference: hasReference ? 'REFERENCE IMAGE: The attached image is the canonical design of this exact character.' : '',
+    });
+  }
+
   return `Create a single pixel art game sprite frame:
 
 CHARACTER: ${character.description}
 ${character.details ? `DETAILS: ${character.details}` : ''}
-
+${hasReference ? `
+REFERENCE IMAGE: The attached image is the canonical design of this exact character.
+- Match its proportions, outfit, colors, palette and outline exactly
+` : ''}
 TECHNICAL REQUIREMENTS:
 - Exactly ${frameWidth}x${frameHeight} pixels
+- One single pose - do NOT draw several frames or a sprite strip
 - TRUE TRANSPARENT BACKGROUND (alpha = 0)
 - PNG with RGBA channels
 
 ART STYLE:
-- 16-bit pixel art (SNES/Genesis era)
-- Max ${config.style.maxColors} colors
-- Clean pixels, NO anti-aliasing or blur
-- ${config.style.outlineWidth}px black outline
+${describeStyle(resolveStyle(spec), { compact: true })}
 
 ANIMATION: Frame ${frameIndex + 1} of ${totalFrames} - ${animationName}
 - ${motionDescription}
 - ${phaseDescription}
-- Character faces right, centered in frame`;
+${keyframe ? `- Pose: ${keyframe}
+` : ''}- ${describeDirection(direction)}, centered in frame, feet on the bottom ground line`;
+}
+
+/**
+ * Resolves the motion description for an animation
+ * Checked in order: the animation's motion, the spec's motions, the project
+ * prompts file's motions, then the built-in descriptions
+ * @param {Object} spec - Sprite specification
+ * @param {string} animationName - Animation name
+ * @param {Object} animationConfig - Animation configuration
+ * @returns {string|null} Motion description, or null when the animation is unknown
+ */
+export function resolveMotion(spec, animationName, animationConfig = {}) {
+  return animationConfig.motion
+    ?? spec.motions?.[animationName]
+    ?? config.prompts.motions[animationName]
+    ?? ANIMATION_PROMPTS[animationName.toLowerCase()]
+    ?? null;
+}
+
+/**
+ * Describes how the whole animation plays back, so one-shot animations are not drawn as loops
+ * @param {Object} animationConfig - Animation configuration (loop, repeat, yoyo)
+ * @returns {string} Prompt line
+ */
+function describePlayback(animationConfig) {
+  const { loop, repeat, yoyo } = resolvePlayback(animationConfig);
+
+  if (loop && yoyo) {
+    return '- Animation plays forwards then backwards on a loop - the first and last frames are the turning points';
+  }
+  if (loop) {
+    return '- Animation loops - the last frame must lead seamlessly back into the first';
+  }
+  return `- One-shot animation that plays ${repeat > 0 ? `${repeat + 1} times` : 'once'} and stops - do NOT make it loop; ` +
+    'the last frame is a settled end pose';
+}
+
+/**
+ * Lists the keyframe notes that fall within one strip
+ * @param {Object} keyframes - Notes keyed by frame number, counted from 1 over the whole animation
+ * @param {number} start - Index of the strip's first frame in the animation
+ * @param {number} frames - Frames in the strip
+ * @returns {string} Prompt lines numbered within the strip, or '' when there are none
+ */
+function describeKeyframes(keyframes, start, frames) {
+  if (!keyframes) return '';
+
+  return Object.entries(keyframes)
+    .map(([frame, note]) => [Number(frame) - start, note])
+    .filter(([frame]) => frame >= 1 && frame <= frames)
+    .sort(([a], [b]) => a - b)
+    .map(([frame, note]) => `- Frame ${frame}: ${note}`)
+    .join('\n');
+}
+
+/**
+ * Character placeholders shared by every template
+ * @param {Object} spec - Sprite specification
+ * @returns {Object} Placeholder values
+ */
+function describeCharacter(spec) {
+  return {
+    name: spec.name ?? '',
+    'character.description': spec.character.description,
+    'character.details': spec.character.details ?? '',
+  };
 }
 
 /**
  * Validates a sprite specification
+ * Checks the spec against SPEC_SCHEMA, then the rules a schema cannot express:
+ * references between fields, keyframe ranges, template placeholders and, once the
+ * spec itself is valid, the spec each variant merges into
  * @param {Object} spec - Sprite specification to validate
- * @returns {Object} Validation result with isValid and errors
+ * @returns {Object} Validation result with isValid, errors and warnings (unknown keys);
+ *   each message starts with the JSON pointer of the offending field
  */
 export function validateSpec(spec) {
-  const errors = [];
+  const { errors, warnings } = validateSchema(spec, SPEC_SCHEMA);
 
-  if (!spec.character?.description) {
-    errors.push('character.description is required');
+  if (isObject(spec)) {
+    errors.push(...validateReference(spec), ...validateFrameSettings(spec), ...validateTemplates(spec));
   }
 
-  if (!spec.frameWidth || spec.frameWidth < 16 || spec.frameWidth > 256) {
-    errors.push('frameWidth must be between 16 and 256');
+  if (errors.length === 0) {
+    const variants = validateVariants(spec, warnings);
+    errors.push(...variants.errors);
+    warnings.push(...variants.warnings);
   }
 
-  if (!spec.frameHeight || spec.frameHeight < 16 || spec.frameHeight > 256) {
-    errors.push('frameHeight must be between 16 and 256');
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Checks that the reference settings point at something that exists
+ * @param {Object} spec - Sprite specification
+ * @returns {string[]} Errors
+ */
+function validateReference(spec) {
+  const { reference, animations } = spec;
+  if (!isObject(reference)) return [];
+
+  if (reference.mode === 'animation' && typeof reference.animation === 'string' &&
+    isObject(animations) && !animations[reference.animation]) {
+    return [`/reference/animation: '${reference.animation}' is not defined in animations`];
   }
 
-  if (!spec.animations || Object.keys(spec.animations).length === 0) {
-    errors.push('At least one animation is required');
+  if (reference.mode === 'image' && reference.path === undefined) {
+    return ['/reference/path: is required when mode is \'image\''];
   }
 
-  // Validate each animation
-  if (spec.animations) {
-    for (const [name, anim] of Object.entries(spec.animations)) {
-      if (!anim.frames || anim.frames < 1 || anim.frames > 16) {
-        errors.push(`Animation '${name}': frames must be between 1 and 16`);
+  return [];
+}
+
+/**
+ * Checks that keyframe notes and frame durations refer to frames the animation
+ * has, and that looping animations do not also set a repeat count
+ * @param {Object} spec - Sprite specification
+ * @returns {string[]} Errors
+ */
+function validateFrameSettings(spec) {
+  const errors = [];
+  if (!isObject(spec.animations)) return errors;
+
+  for (const [name, anim] of Object.entries(spec.animations)) {
+    const animPointer = childPointer('/animations', name);
+    if (anim?.loop === true && anim.repeat !== undefined) {
+      errors.push(`${childPointer(animPointer, 'repeat')}: cannot be combined with loop: true`);
+    }
+
+    if (!Number.isInteger(anim?.frames)) continue;
+
+    for (const field of ['keyframes', 'durations']) {
+      if (!isObject(anim[field])) continue;
+
+      for (const frame of Object.keys(anim[field])) {
+        if (Number(frame) > anim.frames) {
+          errors.push(`${childPointer(childPointer(animPointer, field), frame)}: frame must be between 1 and ${anim.frames}`);
+        }
       }
-      if (!anim.fps || anim.fps < 1 || anim.fps > 60) {
-        errors.push(`Animation '${name}': fps must be between 1 and 60`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks the placeholders of the templates a spec uses, including project
+ * templates it does not override
+ * @param {Object} spec - Sprite specification
+ * @returns {string[]} Errors
+ */
+function validateTemplates(spec) {
+  const errors = [];
+
+  for (const kind of TEMPLATE_KINDS) {
+    const own = isObject(spec.templates) && spec.templates[kind] !== undefined;
+    const template = own ? spec.templates[kind] : config.prompts.templates[kind];
+    if (template === undefined) continue;
+
+    const problems = checkTemplate(kind, template);
+    // Type problems in the spec's own templates are already reported by the schema
+    if (own && problems[0] === 'must be a string or a list of strings') continue;
+
+    const source = own ? `/templates/${kind}` : `SPRAITE_PROMPTS_FILE /templates/${kind}`;
+    errors.push(...problems.map(problem => `${source}: ${problem}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validates each variant: its name, and the spec its overrides produce
+ * @param {Object} spec - Valid sprite specification
+ * @param {string[]} baseWarnings - Warnings already reported for the spec itself
+ * @returns {{errors: string[], warnings: string[]}} Problems, under /variants/<key>
+ */
+function validateVariants(spec, baseWarnings) {
+  const errors = [];
+  const warnings = [];
+  const names = new Set([spec.name || 'character']);
+
+  for (const variant of resolveVariants(spec)) {
+    const pointer = childPointer('/variants', variant.key);
+
+    if (names.has(variant.name)) {
+      errors.push(`${pointer}: output name '${variant.name}' is already used`);
+    }
+    names.add(variant.name);
+
+    if (!variant.spec) {
+      if (!variant.palette) {
+        errors.push(`${pointer}: needs a palette or at least one override`);
       }
+      continue;
     }
+
+    const result = validateSpec(variant.spec);
+    errors.push(...result.errors.map(error => `${pointer}${error}`));
+    warnings.push(...result.warnings.filter(w => !baseWarnings.includes(w)).map(w => `${pointer}${w}`));
   }
 
-  return {
-    isValid: errors.length === 0,
-    errors,
-  };
+  return { errors, warnings };
+}
+
+/**
+ * Checks for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
@@ -188,16 +568,20 @@ export function createDefaultSpec(characterDescription) {
       idle: { frames: 4, fps: 8 },
       walk: { frames: 6, fps: 10 },
       run: { frames: 6, fps: 12 },
-      jump: { frames: 4, fps: 10 },
-      attack: { frames: 4, fps: 12 },
-      hurt: { frames: 2, fps: 8 },
+      jump: { frames: 4, fps: 10, loop: false },
+      attack: { frames: 4, fps: 12, loop: false },
+      hurt: { frames: 2, fps: 8, loop: false },
     },
   };
 }
 
 export default {
   buildSpriteStripPrompt,
+  buildModelSheetPrompt,
+  buildCorrectionPrompt,
+  buildContentSafePrompt,
   buildSingleFramePrompt,
+  resolveMotion,
   validateSpec,
   createDefaultSpec,
 };
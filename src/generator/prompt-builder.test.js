@@ -0,0 +1,32 @@
+/**
+ * Prompt builder tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSpriteStripPrompt } from './prompt-builder.js';
+
+const spec = {
+  name: 'tester',
+  character: { description: 'a small test knight' },
+  frameWidth: 32,
+  frameHeight: 32,
+  animations: {},
+};
+
+test('looping animations are asked to loop seamlessly', () => {
+  const prompt = buildSpriteStripPrompt(spec, 'walk', { frames: 4, fps: 8 });
+
+  assert.match(prompt, /loops - the last frame must lead seamlessly back into the first/);
+});
+
+test('one-shot animations are told not to loop', () => {
+  const once = buildSpriteStripPrompt(spec, 'attack', { frames: 4, fps: 12, loop: false });
+  const repeated = buildSpriteStripPrompt(spec, 'hurt', { frames: 2, fps: 8, repeat: 2 });
+
+  for (const prompt of [once, repeated]) {
+    assert.match(prompt, /do NOT make it loop/);
+    assert.doesNotMatch(prompt, /loop seamlessly|lead seamlessly/);
+  }
+  assert.match(repeated, /plays 3 times/);
+});
@@ -0,0 +1,113 @@
+/**
+ * Opt-in prompt refinement
+ * Runs strip prompts through the provider's text model, caching results per spec hash
+ */
+
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+import { readJson, writeJson, fileExists } from '../utils/file-utils.js';
+import { getCacheDir } from './cache.js';
+import { getProvider } from './providers/index.js';
+import { resolveStyle, describeStyle } from './styles.js';
+
+/**
+ * Hashes a spec so refined prompts are reused only while the spec is unchanged
+ * @param {Object} spec - Sprite specification
+ * @returns {string} SHA-256 hex digest
+ */
+export function getSpecHash(spec) {
+  return createHash('sha256').update(JSON.stringify(spec)).digest('hex');
+}
+
+/**
+ * Path of the cached refinement for one animation of a spec
+ * @param {Object} spec - Sprite specification
+ * @param {string} animName - Animation name
+ * @returns {string} Cache file path
+ */
+function getRefinementPath(spec, animName) {
+  return join(getCacheDir(), 'prompts', getSpecHash(spec), `${animName}.json`);
+}
+
+/**
+ * Reads a cached refinement without calling the text model
+ * @param {Object} spec - Sprite specification
+ * @param {string} animName - Animation name
+ * @param {string} prompt - Original prompt (must match the cached one)
+ * @returns {Promise<string|null>} Refined prompt, or null on miss
+ */
+export async function getCachedRefinement(spec, animName, prompt) {
+  const cachePath = getRefinementPath(spec, animName);
+  if (!config.cache.enabled || !(await fileExists(cachePath))) {
+    return null;
+  }
+
+  const entry = await readJson(cachePath);
+  return entry.original === prompt ? entry.refined : null;
+}
+
+/**
+ * Refines a strip prompt with the provider's text model
+ * @param {string} prompt - Prompt from buildSpriteStripPrompt
+ * @param {Object} context - Refinement context
+ * @param {Object} context.spec - Sprite specification
+ * @param {string} context.animName - Animation name
+ * @param {Object} context.animConfig - Animation configuration
+ * @param {string} context.provider - Provider name
+ * @param {boolean} context.cache - Use the refinement cache (default: true)
+ * @param {Object} context.tracker - Cost tracker for the run
+ * @returns {Promise<string>} Refined prompt
+ * @throws {GenerationError} When the text model fails; nothing is cached or billed, so the next run tries again
+ */
+export async function refineStripPrompt(prompt, context) {
+  const { spec, animName, animConfig, provider: providerName, cache = true, tracker } = context;
+  const useCache = cache && config.cache.enabled;
+
+  if (useCache) {
+    const cached = await getCachedRefinement(spec, animName, prompt);
+    if (cached) {
+      logger.debug(`Refined prompt cache hit: ${animName}`);
+      return cached;
+    }
+  }
+
+  const provider = getProvider(providerName);
+  const reservation = tracker?.reserveText() ?? null;
+
+  let refined;
+  let ok = false;
+  try {
+    refined = await provider.refinePrompt(prompt, {
+      frameWidth: spec.frameWidth,
+      frameHeight: spec.frameHeight,
+      animationName: animName,
+      frameCount: animConfig.frames,
+      characterDescription: spec.character.description,
+      style: describeStyle(resolveStyle(spec)),
+    });
+    ok = true;
+  } finally {
+    if (reservation) tracker.settleText(reservation, ok);
+  }
+
+  // A prompt that came back unchanged was not refined, so it is not worth keeping
+  if (useCache && refined !== prompt) {
+    await writeJson(getRefinementPath(spec, animName), {
+      original: prompt,
+      refined,
+      provider: provider.name,
+      model: config.openai.textModel,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  return refined;
+}
+
+export default {
+  getSpecHash,
+  getCachedRefinement,
+  refineStripPrompt,
+};
@@ -0,0 +1,69 @@
+/**
+ * Prompt refinement tests
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../config.js';
+import { localProvider } from './providers/local-provider.js';
+import { createCostTracker } from './cost-tracker.js';
+import { refineStripPrompt, getCachedRefinement } from './prompt-refiner.js';
+
+const spec = {
+  name: 'tester',
+  character: { description: 'a small test knight' },
+  frameWidth: 32,
+  frameHeight: 32,
+  animations: { idle: { frames: 2 } },
+};
+const context = { spec, animName: 'idle', animConfig: spec.animations.idle, provider: 'local' };
+
+let cacheDir;
+let originalCacheDir;
+
+before(async () => {
+  cacheDir = await mkdtemp(join(tmpdir(), 'spraite-refine-'));
+  originalCacheDir = config.cache.dir;
+  config.cache.dir = cacheDir;
+});
+
+after(async () => {
+  config.cache.dir = originalCacheDir;
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+test('a failed refinement is neither cached nor billed', async (t) => {
+  t.mock.method(localProvider, 'refinePrompt', async () => {
+    throw new Error('text model unavailable');
+  });
+
+  const tracker = createCostTracker({ maxCalls: 1 });
+
+  await assert.rejects(refineStripPrompt('draw a knight', { ...context, tracker }), /text model unavailable/);
+  assert.equal(await getCachedRefinement(spec, 'idle', 'draw a knight'), null);
+  assert.equal(tracker.summary().textCalls, 0);
+});
+
+test('a refined prompt is cached, an unchanged one is not', async (t) => {
+  assert.equal(await refineStripPrompt('unchanged prompt', context), 'unchanged prompt');
+  assert.equal(await getCachedRefinement(spec, 'idle', 'unchanged prompt'), null);
+
+  t.mock.method(localProvider, 'refinePrompt', async prompt => `${prompt}, refined`);
+  assert.equal(await refineStripPrompt('draw a knight', context), 'draw a knight, refined');
+  assert.equal(await getCachedRefinement(spec, 'idle', 'draw a knight'), 'draw a knight, refined');
+});
+
+test('the refiner is given the spec\'s art style', async (t) => {
+  const refine = t.mock.method(localProvider, 'refinePrompt', async prompt => prompt);
+  const gameboy = { ...spec, style: 'gameboy-4color' };
+
+  await refineStripPrompt('draw a knight', { ...context, spec: gameboy });
+
+  const { style } = refine.mock.calls[0].arguments[1];
+  assert.match(style, /Game Boy/);
+  assert.match(style, /#0f380f/);
+  assert.doesNotMatch(style, /16-bit/);
+});
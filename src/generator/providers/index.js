@@ -0,0 +1,45 @@
+/**
+ * Image provider registry
+ * Providers implement { name, description, requiresApiKey, billable, generateImage, generateImages,
+ *   editImage, editImages, refinePrompt }
+ */
+
+import { config } from '../../config.js';
+import openaiProvider from './openai-provider.js';
+import localProvider from './local-provider.js';
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  local: localProvider,
+};
+
+/**
+ * Looks up an image provider by name
+ * @param {string} name - Provider name (default: config.generation.provider)
+ * @returns {Object} Provider implementation
+ */
+export function getProvider(name = null) {
+  const providerName = name || config.generation.provider;
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown image provider '${providerName}' (available: ${Object.keys(PROVIDERS).join(', ')})`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Lists registered provider names
+ * @returns {string[]} Provider names
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export default {
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,244 @@
+/**
+ * Local (offline) image provider
+ * Serves fixture strips from disk or draws deterministic placeholder sprites,
+ * so the full pipeline can run without an API key
+ */
+
+import { createHash } from 'crypto';
+import { join, isAbsolute } from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { config } from '../../config.js';
+import logger from '../../utils/logger.js';
+import { fileExists } from '../../utils/file-utils.js';
+
+/**
+ * Generates a sprite strip without calling any remote API
+ * @param {string} prompt - The image generation prompt (seeds placeholder colors)
+ * @param {Object} options - Generation options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {number} options.frameCount - Number of frames to draw (default: derived from aspect ratio)
+ * @param {Object} options.fixture - Fixture lookup keys ({ name, animation })
+ * @param {Object} options.grid - Grid layout ({ columns, rows }) when frames are requested as a grid
+ * @returns {Promise<Buffer>} Generated image as PNG buffer
+ */
+export async function generateImage(prompt, options = {}) {
+  const { width = 512, height = 512, fixture = null, grid = null } = options;
+  const frameCount = options.frameCount || Math.max(1, Math.round(width / height));
+
+  const fixturePath = fixture ? await findFixture(fixture) : null;
+  if (fixturePath) {
+    logger.debug(`Using fixture strip: ${fixturePath}`);
+    const data = await fs.readFile(fixturePath);
+    return sharp(data).ensureAlpha().png().toBuffer();
+  }
+
+  logger.debug(`Drawing placeholder ${grid ? 'grid' : 'strip'}: ${width}x${height}, ${frameCount} frames`);
+  return drawPlaceholderStrip(prompt, width, height, frameCount, grid);
+}
+
+/**
+ * Generates several candidate strips
+ * Fixtures are served for every candidate; placeholders get a different palette per candidate
+ * @param {string} prompt - The image generation prompt
+ * @param {Object} options - Generation options (see generateImage)
+ * @param {number} options.n - Number of images (default: 1)
+ * @returns {Promise<Buffer[]>} Generated images as PNG buffers
+ */
+export async function generateImages(prompt, options = {}) {
+  const { n = 1 } = options;
+  const images = [];
+
+  for (let i = 0; i < n; i++) {
+    // The first candidate matches generateImage so single-image runs are unchanged
+    images.push(await generateImage(i === 0 ? prompt : `${prompt}\n#candidate ${i}`, options));
+  }
+
+  return images;
+}
+
+/**
+ * Generates a reference-conditioned strip
+ * Placeholders are already consistent across animations, so the reference is not used
+ * @param {string} prompt - The image generation prompt
+ * @param {Buffer} referenceBuffer - Reference PNG (ignored)
+ * @param {Object} options - Generation options (see generateImage)
+ * @returns {Promise<Buffer>} Generated image as PNG buffer
+ */
+export async function editImage(prompt, referenceBuffer, options = {}) {
+  return generateImage(prompt, options);
+}
+
+/**
+ * Generates several reference-conditioned candidates (the reference is not used)
+ * @param {string} prompt - The image generation prompt
+ * @param {Buffer} referenceBuffer - Reference PNG (ignored)
+ * @param {Object} options - Generation options (see generateImages)
+ * @returns {Promise<Buffer[]>} Generated images as PNG buffers
+ */
+export async function editImages(prompt, referenceBuffer, options = {}) {
+  return generateImages(prompt, options);
+}
+
+/**
+ * Returns the prompt unchanged (no text model available offline)
+ * @param {string} userPrompt - Initial user prompt
+ * @returns {Promise<string>} The same prompt
+ */
+export async function refinePrompt(userPrompt) {
+  return userPrompt;
+}
+
+/**
+ * Looks up a fixture strip for a character animation
+ * Checks <fixtures>/<name>/<animation>.png, then <fixtures>/<animation>.png
+ * @param {Object} fixture - Fixture lookup keys
+ * @param {string} fixture.name - Character name
+ * @param {string} fixture.animation - Animation name
+ * @returns {Promise<string|null>} Path to fixture, or null if none exists
+ */
+async function findFixture({ name, animation }) {
+  const fixturesDir = isAbsolute(config.paths.fixtures)
+    ? config.paths.fixtures
+    : join(config.paths.root, config.paths.fixtures);
+
+  const candidates = [];
+  if (name && animation) candidates.push(join(fixturesDir, name, `${animation}.png`));
+  if (animation) candidates.push(join(fixturesDir, `${animation}.png`));
+
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Draws a deterministic placeholder strip: one outlined figure per frame,
+ * with a small walk cycle and bob so frames are distinguishable
+ * @param {string} prompt - Seed for the palette
+ * @param {number} width - Strip width
+ * @param {number} height - Strip height
+ * @param {number} frameCount - Number of frames
+ * @param {Object|null} grid - Grid layout ({ columns, rows }); frames fill cells row by row
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+async function drawPlaceholderStrip(prompt, width, height, frameCount, grid = null) {
+  const data = Buffer.alloc(width * height * 4);
+  const palette = seededPalette(prompt);
+  const columns = grid ? grid.columns : frameCount;
+  const cellWidth = Math.floor(width / columns);
+  const cellHeight = grid ? Math.floor(height / grid.rows) : height;
+
+  const fill = (x0, y0, w, h, color) => {
+    for (let y = Math.max(0, y0); y < Math.min(height, y0 + h); y++) {
+      for (let x = Math.max(0, x0); x < Math.min(width, x0 + w); x++) {
+        const idx = (y * width + x) * 4;
+        data[idx] = color.r;
+        data[idx + 1] = color.g;
+        data[idx + 2] = color.b;
+        data[idx + 3] = 255;
+      }
+    }
+  };
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const cellX = (frame % columns) * cellWidth;
+    const cellY = Math.floor(frame / columns) * cellHeight;
+    const margin = Math.max(2, Math.floor(Math.min(cellWidth, cellHeight) * 0.15));
+    const bob = frame % 2;
+    const stride = Math.round(Math.sin((frame / frameCount) * Math.PI * 2) * cellWidth * 0.08);
+
+    const headSize = Math.max(2, Math.floor(cellWidth * 0.25));
+    const bodyWidth = Math.max(3, Math.floor(cellWidth * 0.35));
+    const bodyHeight = Math.max(2, Math.floor(cellHeight * 0.3));
+    const legWidth = Math.max(1, Math.floor(bodyWidth / 3));
+    const centerX = cellX + Math.floor(cellWidth / 2);
+    const baseline = cellY + cellHeight - margin;
+
+    const headY = cellY + margin + bob;
+    const bodyY = headY + headSize;
+    const legY = bodyY + bodyHeight;
+    const legHeight = Math.max(1, baseline - legY);
+
+    fill(centerX - Math.floor(headSize / 2), headY, headSize, headSize, palette.skin);
+    fill(centerX - Math.floor(bodyWidth / 2), bodyY, bodyWidth, bodyHeight, palette.body);
+    fill(centerX - Math.floor(bodyWidth / 2) + stride, legY, legWidth, legHeight, palette.legs);
+    fill(centerX + Math.ceil(bodyWidth / 2) - legWidth - stride, legY, legWidth, legHeight, palette.legs);
+  }
+
+  addOutline(data, width, height);
+
+  return sharp(data, { raw: { width, height, channels: 4 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Adds a 1px black outline around all opaque pixels (4-neighbourhood)
+ * @param {Buffer} data - Raw RGBA pixel data (modified in place)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+function addOutline(data, width, height) {
+  const opaque = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    opaque[i] = data[i * 4 + 3] > 0 ? 1 : 0;
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (opaque[i]) continue;
+
+      const touches =
+        (x > 0 && opaque[i - 1]) ||
+        (x < width - 1 && opaque[i + 1]) ||
+        (y > 0 && opaque[i - width]) ||
+        (y < height - 1 && opaque[i + width]);
+
+      if (touches) {
+        data[i * 4] = 0;
+        data[i * 4 + 1] = 0;
+        data[i * 4 + 2] = 0;
+        data[i * 4 + 3] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * Derives a small, stable palette from the prompt text
+ * @param {string} seed - Seed text
+ * @returns {Object} Palette with skin, body and legs colors
+ */
+function seededPalette(seed) {
+  const hash = createHash('sha256').update(seed || '').digest();
+  const color = (offset) => ({
+    r: 64 + (hash[offset] % 192),
+    g: 64 + (hash[offset + 1] % 192),
+    b: 64 + (hash[offset + 2] % 192),
+  });
+
+  return {
+    skin: { r: 240, g: 200, b: 160 },
+    body: color(0),
+    legs: color(3),
+  };
+}
+
+export const localProvider = {
+  name: 'local',
+  description: 'Offline fixtures or procedurally drawn placeholder sprites',
+  requiresApiKey: false,
+  billable: false,
+  generateImage,
+  generateImages,
+  editImage,
+  editImages,
+  refinePrompt,
+};
+
+export default localProvider;
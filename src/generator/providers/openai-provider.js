@@ -0,0 +1,20 @@
+/**
+ * OpenAI image provider
+ * Generates sprite strips through the live GPT Image API
+ */
+
+import { generateImage, generateImages, editImage, editImages, refinePrompt } from '../openai-client.js';
+
+export const openaiProvider = {
+  name: 'openai',
+  description: 'OpenAI GPT Image API (requires OPENAI_API_KEY)',
+  requiresApiKey: true,
+  billable: true,
+  generateImage,
+  generateImages,
+  editImage,
+  editImages,
+  refinePrompt,
+};
+
+export default openaiProvider;
@@ -0,0 +1,93 @@
+/**
+ * Reference-image conditioning
+ * Resolves the canonical character image that later animations are generated from
+ */
+
+import { resolve, dirname, isAbsolute } from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { generateImageWithRetry } from './image-generator.js';
+import { buildModelSheetPrompt } from './prompt-builder.js';
+
+/**
+ * Reference settings
+ * @typedef {Object} ReferenceSettings
+ * @property {string} mode - 'animation', 'model-sheet' or 'image'
+ * @property {string} [animation] - Animation whose strip becomes the reference (mode 'animation')
+ * @property {string} [path] - Absolute path to a reference image (mode 'image')
+ */
+
+/**
+ * Resolves reference settings from the spec and an optional CLI override
+ * The override may be 'model-sheet', an animation name, or an image path
+ * @param {Object} spec - Sprite specification
+ * @param {string} specPath - Path to the spec file (image paths are relative to it)
+ * @param {string|null} override - Value of --reference, if given
+ * @returns {ReferenceSettings|null} Settings, or null when reference conditioning is off
+ */
+export function resolveReferenceSettings(spec, specPath, override = null) {
+  let settings = spec.reference ? { ...spec.reference } : null;
+  let baseDir = dirname(specPath);
+
+  if (override) {
+    if (override === 'model-sheet') {
+      settings = { mode: 'model-sheet' };
+    } else if (spec.animations[override]) {
+      settings = { mode: 'animation', animation: override };
+    } else {
+      settings = { mode: 'image', path: override };
+      baseDir = process.cwd();
+    }
+  }
+
+  if (!settings) {
+    return null;
+  }
+
+  if (settings.mode === 'animation' && !settings.animation) {
+    settings.animation = spec.animations.idle ? 'idle' : Object.keys(spec.animations)[0];
+  }
+
+  if (settings.mode === 'image' && !isAbsolute(settings.path)) {
+    settings.path = resolve(baseDir, settings.path);
+  }
+
+  return settings;
+}
+
+/**
+ * Loads a reference image from disk as an RGBA PNG
+ * @param {string} imagePath - Path to the image
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+export async function loadReferenceImage(imagePath) {
+  const data = await fs.readFile(imagePath);
+  return sharp(data).ensureAlpha().png().toBuffer();
+}
+
+/**
+ * Generates a canonical model-sheet frame for the character
+ * @param {Object} spec - Sprite specification
+ * @param {Object} options - Generation options (provider, cache, tracker)
+ * @returns {Promise<Buffer>} Reference PNG
+ */
+export async function generateModelSheet(spec, options = {}) {
+  const prompt = buildModelSheetPrompt(spec);
+
+  return generateImageWithRetry(prompt, {
+    width: spec.frameWidth,
+    height: spec.frameHeight,
+    quality: 'high',
+    provider: options.provider,
+    cache: options.cache,
+    tracker: options.tracker,
+    frameCount: 1,
+    fixture: { name: spec.name, animation: 'reference' },
+  });
+}
+
+export default {
+  resolveReferenceSettings,
+  loadReferenceImage,
+  generateModelSheet,
+};
@@ -0,0 +1,152 @@
+/**
+ * Spec loading, inheritance and variants
+ * A spec can extend another spec and override parts of it, and can list
+ * variants that produce further characters from the same generation
+ */
+
+import { dirname, resolve, isAbsolute, basename } from 'path';
+import { readJson } from '../utils/file-utils.js';
+
+/**
+ * Spec fields a variant may override; any of them makes the variant a separate generation
+ */
+export const VARIANT_OVERRIDES = ['character', 'style', 'motions', 'templates', 'reference', 'animations'];
+
+/**
+ * Resolved variant
+ * @typedef {Object} Variant
+ * @property {string} key - Key in spec.variants
+ * @property {string} name - Output name (default: <spec name>-<key>)
+ * @property {Object|null} palette - Color mapping applied to the frames ('#from' -> '#to')
+ * @property {number|undefined} tolerance - Color distance matched around each palette color
+ * @property {Object|null} spec - Merged spec to generate, or null when the variant only remaps
+ *   the base character's palette
+ */
+
+/**
+ * Loads a spec file, resolving extends chains
+ * @param {string} specPath - Path to the spec file
+ * @param {Object} options - Load options
+ * @param {Object} options.defaults - Project defaults, merged under the spec and everything it extends
+ * @returns {Promise<Object>} Spec with every base merged in (extends removed)
+ */
+export async function loadSpec(specPath, options = {}) {
+  const spec = await loadWithBases(resolve(specPath), []);
+  return options.defaults ? mergeSpecs(options.defaults, spec) : spec;
+}
+
+/**
+ * Loads a spec and, recursively, the specs it extends
+ * @param {string} specPath - Absolute path to the spec file
+ * @param {string[]} chain - Specs already being loaded (cycle detection)
+ * @returns {Promise<Object>} Merged spec
+ */
+async function loadWithBases(specPath, chain) {
+  if (chain.includes(specPath)) {
+    throw new Error(`Spec inheritance cycle: ${[...chain, specPath].map(p => basename(p)).join(' -> ')}`);
+  }
+
+  const spec = await readJson(specPath);
+  if (spec?.extends === undefined) {
+    return spec;
+  }
+
+  if (typeof spec.extends !== 'string') {
+    throw new Error(`${basename(specPath)}: extends must be the path of another spec file`);
+  }
+
+  const basePath = resolve(dirname(specPath), spec.extends);
+  let base;
+  try {
+    base = await loadWithBases(basePath, [...chain, specPath]);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${basename(specPath)} extends '${spec.extends}', which was not found (${basePath})`);
+    }
+    throw error;
+  }
+
+  const { extends: _, ...overrides } = spec;
+  return mergeSpecs(rebasePaths(base, basePath), overrides);
+}
+
+/**
+ * Makes a base spec's relative file paths absolute, since they are relative to the file declaring them
+ * @param {Object} spec - Base spec (or project defaults)
+ * @param {string} specPath - Path of the file declaring it
+ * @returns {Object} Spec with absolute paths
+ */
+export function rebasePaths(spec, specPath) {
+  const path = spec.reference?.path;
+  if (typeof path !== 'string' || isAbsolute(path)) {
+    return spec;
+  }
+
+  return { ...spec, reference: { ...spec.reference, path: resolve(dirname(specPath), path) } };
+}
+
+/**
+ * Deep-merges spec overrides over a base spec
+ * Objects are merged key by key; arrays and other values replace the base value,
+ * and null removes it (e.g. "animations": { "death": null })
+ * @param {Object} base - Base spec
+ * @param {Object} overrides - Overriding fields
+ * @returns {Object} Merged spec (inputs are not modified)
+ */
+export function mergeSpecs(base, overrides) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isObject(value) && isObject(merged[key])) {
+      merged[key] = mergeSpecs(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Resolves a spec's variants
+ * @param {Object} spec - Sprite specification
+ * @returns {Variant[]} Variants in spec order
+ */
+export function resolveVariants(spec) {
+  const { variants, ...base } = spec;
+  if (!isObject(variants)) return [];
+
+  return Object.entries(variants).map(([key, variant]) => {
+    const overrides = Object.fromEntries(
+      VARIANT_OVERRIDES.filter(field => variant[field] !== undefined).map(field => [field, variant[field]])
+    );
+    const name = variant.name ?? `${spec.name || 'character'}-${key}`;
+
+    return {
+      key,
+      name,
+      palette: variant.palette ?? null,
+      tolerance: variant.tolerance,
+      spec: Object.keys(overrides).length > 0 ? { ...mergeSpecs(base, overrides), name } : null,
+    };
+  });
+}
+
+/**
+ * Checks for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default {
+  VARIANT_OVERRIDES,
+  loadSpec,
+  rebasePaths,
+  mergeSpecs,
+  resolveVariants,
+};
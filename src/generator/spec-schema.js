@@ -0,0 +1,244 @@
+/**
+ * Sprite specification schema
+ * JSON Schema for spec files, enforced by validateSpec and printed by `spraite schema`
+ * for editor autocompletion. Enumerations come from the modules that implement them
+ */
+
+import { LAYOUTS } from './layout.js';
+import { listStyles } from './styles.js';
+import { DIRECTIONS, DIRECTION_SETS } from './directions.js';
+import { TEMPLATE_KINDS } from './templates.js';
+import { VARIANT_OVERRIDES } from './spec-loader.js';
+import { SEGMENTATION_MODES } from '../processor/segmenter.js';
+
+/**
+ * Names that end up in file names and atlas keys
+ */
+const FILE_SAFE_NAME = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 64,
+  pattern: '^[A-Za-z0-9][A-Za-z0-9_-]*$',
+  errorMessage: 'must start with a letter or digit and contain only letters, digits, \'-\' and \'_\'',
+};
+
+const CANDIDATES = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 8,
+  description: 'Images requested per generation; the best one is kept',
+};
+
+const LAYOUT = {
+  type: 'string',
+  enum: LAYOUTS,
+  description: 'Request frames as one row (strip) or as a grid',
+};
+
+const SEGMENTATION = {
+  type: 'string',
+  enum: SEGMENTATION_MODES,
+  description: 'Cut strips at fixed offsets or around detected figures',
+};
+
+const DIRECTIONS_SCHEMA = {
+  description: 'Facing directions to generate; left-facing ones are mirrored',
+  oneOf: [
+    { type: 'string', enum: Object.keys(DIRECTION_SETS) },
+    { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: DIRECTIONS } },
+  ],
+};
+
+const TEMPLATE = {
+  description: 'Prompt template with {{placeholders}}; a list of strings is joined with newlines',
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', minItems: 1, items: { type: 'string' } },
+  ],
+};
+
+const FRAME_NUMBER = {
+  type: 'string',
+  pattern: '^[1-9][0-9]*$',
+  errorMessage: 'must be a frame number (1, 2, ...)',
+};
+
+const ANIMATION = {
+  type: 'object',
+  required: ['frames', 'fps'],
+  additionalProperties: false,
+  properties: {
+    frames: { type: 'integer', minimum: 1, maximum: 16, description: 'Number of frames (more than 8 are generated in parts)' },
+    fps: { type: 'number', minimum: 1, maximum: 60, description: 'Playback speed' },
+    candidates: CANDIDATES,
+    layout: LAYOUT,
+    segmentation: SEGMENTATION,
+    directions: DIRECTIONS_SCHEMA,
+    motion: { type: 'string', minLength: 1, description: 'Motion description used in prompts' },
+    keyframes: {
+      type: 'object',
+      description: 'Pose notes keyed by frame number, counted from 1',
+      propertyNames: FRAME_NUMBER,
+      additionalProperties: { type: 'string', minLength: 1 },
+    },
+    loop: { type: 'boolean', description: 'Play forever (default: true unless repeat is set)' },
+    repeat: { type: 'integer', minimum: 0, maximum: 1000, description: 'Extra plays after the first, for animations that do not loop' },
+    yoyo: { type: 'boolean', description: 'Play forwards then backwards (ping-pong)' },
+    repeatDelay: { type: 'integer', minimum: 0, maximum: 60000, description: 'Pause in milliseconds before each repeat' },
+    durations: {
+      type: 'object',
+      description: 'Milliseconds a frame is shown, keyed by frame number counted from 1 (others follow fps)',
+      propertyNames: FRAME_NUMBER,
+      additionalProperties: { type: 'integer', minimum: 1, maximum: 60000 },
+    },
+  },
+};
+
+const HEX_COLOR = {
+  type: 'string',
+  pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$',
+  errorMessage: 'must be a #rgb or #rrggbb color',
+};
+
+/**
+ * Fields of a spec (without extends and variants)
+ */
+const SPEC_PROPERTIES = {
+  name: { ...FILE_SAFE_NAME, description: 'Character name, used for output file names' },
+  character: {
+    type: 'object',
+    required: ['description'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string', minLength: 1, description: 'Main character description' },
+      details: { type: 'string', description: 'Additional visual details' },
+    },
+  },
+  frameWidth: { type: 'integer', minimum: 16, maximum: 256, description: 'Width of each frame in pixels' },
+  frameHeight: { type: 'integer', minimum: 16, maximum: 256, description: 'Height of each frame in pixels' },
+  animations: {
+    type: 'object',
+    minProperties: 1,
+    description: 'Animation definitions keyed by name',
+    propertyNames: FILE_SAFE_NAME,
+    additionalProperties: ANIMATION,
+  },
+  style: { type: 'string', enum: listStyles(), description: 'Art style preset' },
+  reference: {
+    type: 'object',
+    required: ['mode'],
+    additionalProperties: false,
+    description: 'Reference-image conditioning for character consistency',
+    properties: {
+      mode: { type: 'string', enum: ['animation', 'model-sheet', 'image'] },
+      animation: { type: 'string', description: 'Animation generated first and used as the reference (mode animation)' },
+      path: { type: 'string', minLength: 1, description: 'Image path relative to the spec file (mode image)' },
+    },
+  },
+  refine: { type: 'boolean', description: 'Refine prompts with the text model' },
+  quantize: {
+    description: 'Reduce strips to the color limit without dithering: false to turn off, or the colors or palette to use',
+    oneOf: [
+      { type: 'boolean' },
+      {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+          colors: { type: 'integer', minimum: 2, maximum: 256, description: 'Maximum colors per strip (default: the style\'s)' },
+          palette: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 256,
+            uniqueItems: true,
+            description: 'Exact colors to map every pixel to (default: the style\'s fixed palette, if any)',
+            items: HEX_COLOR,
+          },
+        },
+      },
+    ],
+  },
+  alphaCleanup: {
+    description: 'Snap alpha to 0/255, remove stray specks and recolor blended edges: false to turn off, or the cutoff and speck size to use',
+    oneOf: [
+      { type: 'boolean' },
+      {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+          cutoff: { type: 'integer', minimum: 1, maximum: 255, description: 'Alpha from which a pixel is kept opaque (default: 128)' },
+          maxSpeckle: { type: 'integer', minimum: 0, maximum: 64, description: 'Largest group of detached pixels removed; 0 keeps all (default: 2)' },
+        },
+      },
+    ],
+  },
+  candidates: CANDIDATES,
+  layout: LAYOUT,
+  segmentation: SEGMENTATION,
+  directions: DIRECTIONS_SCHEMA,
+  motions: {
+    type: 'object',
+    description: 'Motion descriptions keyed by animation name',
+    additionalProperties: { type: 'string', minLength: 1 },
+  },
+  animationPrefix: {
+    type: 'string',
+    maxLength: 64,
+    description: 'Prefix of the animation keys in <name>.anims.json; {{name}} is the character name (default: "{{name}}_")',
+  },
+  templates: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Prompt templates replacing the built-in prompts',
+    properties: Object.fromEntries(TEMPLATE_KINDS.map(kind => [kind, TEMPLATE])),
+  },
+};
+
+const VARIANT = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'Another character from this spec: a palette remap of the generated frames, or a separate generation with overrides',
+  properties: {
+    name: { ...FILE_SAFE_NAME, description: 'Output name (default: <name>-<variant>)' },
+    palette: {
+      type: 'object',
+      minProperties: 1,
+      description: 'Colors to replace in the generated frames, as { "#from": "#to" }',
+      propertyNames: HEX_COLOR,
+      additionalProperties: HEX_COLOR,
+    },
+    tolerance: { type: 'number', minimum: 0, maximum: 255, description: 'RGB distance matched around each palette color' },
+    // Overrides are deep-merged into the spec, and the merged spec is validated as a whole
+    ...Object.fromEntries(VARIANT_OVERRIDES.map(field => [
+      field,
+      { type: SPEC_PROPERTIES[field].type, description: `Overrides ${field} (deep-merged); the variant is generated separately` },
+    ])),
+  },
+};
+
+/**
+ * Spec file schema (JSON Schema draft 2020-12)
+ */
+export const SPEC_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Spraite sprite specification',
+  type: 'object',
+  required: ['character', 'frameWidth', 'frameHeight', 'animations'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string', description: 'Path or URL of this schema, for editors' },
+    extends: { type: 'string', minLength: 1, description: 'Spec file this one inherits from (relative path); fields here are deep-merged over it' },
+    ...SPEC_PROPERTIES,
+    variants: {
+      type: 'object',
+      description: 'Further characters produced from this spec, keyed by variant name',
+      propertyNames: FILE_SAFE_NAME,
+      additionalProperties: VARIANT,
+    },
+  },
+};
+
+export default {
+  SPEC_SCHEMA,
+};
@@ -0,0 +1,159 @@
+/**
+ * Art style presets
+ * Each preset sets the palette size, outline rules and era wording used in
+ * prompts, and the thresholds generated strips are validated against
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Style preset
+ * @typedef {Object} StylePreset
+ * @property {string} name - Preset name
+ * @property {string} label - Human-readable name
+ * @property {string} era - Era wording for strip prompts
+ * @property {string} eraShort - Era wording for single-frame and model-sheet prompts
+ * @property {number} maxColors - Palette size asked for in prompts
+ * @property {string[]|null} palette - Exact colors to use, if the style has a fixed palette
+ * @property {{width: number, color: string}} outline - Outline width (0 = none) and color wording
+ * @property {boolean} antiAliasing - Whether hand-placed anti-aliasing is allowed
+ * @property {boolean} dithering - Whether ordered dithering is allowed
+ * @property {string[]} notes - Extra style rules for strip prompts
+ * @property {Object} validation - Thresholds for generated strips
+ * @property {number} validation.maxColors - Opaque colors before the palette metric drops
+ * @property {number} validation.minTransparentBorderPercent - Border pixels that must be transparent
+ */
+
+/**
+ * Built-in presets, keyed by name
+ */
+export const STYLE_PRESETS = {
+  'nes-8bit': {
+    label: 'NES 8-bit',
+    era: '8-bit era pixel art style (like NES games)',
+    eraShort: '8-bit pixel art (NES era)',
+    maxColors: 4,
+    palette: null,
+    outline: { width: 1, color: 'black' },
+    antiAliasing: false,
+    dithering: true,
+    notes: ['Simple, chunky shapes that read clearly at low resolution'],
+    validation: { maxColors: 4, minTransparentBorderPercent: 95 },
+  },
+  'gameboy-4color': {
+    label: 'Game Boy 4-color',
+    era: 'Original Game Boy era pixel art (green monochrome handheld games)',
+    eraShort: 'Game Boy pixel art (4 shades of green)',
+    maxColors: 4,
+    palette: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+    outline: { width: 1, color: 'darkest green (#0f380f)' },
+    antiAliasing: false,
+    dithering: true,
+    notes: ['Shading uses only the four greens - no other hues'],
+    validation: { maxColors: 4, minTransparentBorderPercent: 95 },
+  },
+  'snes-16bit': {
+    label: 'SNES 16-bit',
+    era: '16-bit era pixel art style (like SNES/Genesis games)',
+    eraShort: '16-bit pixel art (SNES/Genesis era)',
+    maxColors: 16,
+    palette: null,
+    outline: { width: 1, color: 'black' },
+    antiAliasing: false,
+    dithering: false,
+    notes: [],
+    validation: { maxColors: 16, minTransparentBorderPercent: 95 },
+  },
+  gba: {
+    label: 'Game Boy Advance',
+    era: '32-bit handheld pixel art style (like Game Boy Advance games)',
+    eraShort: 'Game Boy Advance pixel art',
+    maxColors: 15,
+    palette: null,
+    outline: { width: 1, color: 'dark, hue-matched (not pure black)' },
+    antiAliasing: false,
+    dithering: false,
+    notes: ['Bright, saturated colors with clear light and shadow'],
+    validation: { maxColors: 15, minTransparentBorderPercent: 95 },
+  },
+  'modern-hd-pixel': {
+    label: 'Modern HD pixel art',
+    era: 'Modern high-detail indie pixel art style (like contemporary pixel art games)',
+    eraShort: 'Modern high-detail pixel art',
+    maxColors: 32,
+    palette: null,
+    outline: { width: 1, color: 'dark, hue-shifted selective' },
+    antiAliasing: true,
+    dithering: false,
+    notes: ['Hue-shifted shading ramps, detailed but readable silhouettes'],
+    validation: { maxColors: 48, minTransparentBorderPercent: 95 },
+  },
+};
+
+/**
+ * Lists the preset names
+ * @returns {string[]} Preset names
+ */
+export function listStyles() {
+  return Object.keys(STYLE_PRESETS);
+}
+
+/**
+ * Resolves the style preset for a spec
+ * @param {Object} spec - Sprite specification (uses spec.style; default: config.style.preset)
+ * @returns {StylePreset} Preset, including its name
+ */
+export function resolveStyle(spec = {}) {
+  const name = spec.style || config.style.preset;
+  const preset = STYLE_PRESETS[name];
+
+  if (!preset) {
+    throw new Error(`Unknown style '${name}' (expected one of: ${listStyles().join(', ')})`);
+  }
+
+  return { name, ...preset };
+}
+
+/**
+ * Builds the ART STYLE lines of a prompt
+ * @param {StylePreset} style - Resolved style
+ * @param {Object} options - Wording options
+ * @param {boolean} options.compact - Shorter wording for single-frame and model-sheet prompts
+ * @returns {string} Prompt lines, each starting with '- '
+ */
+export function describeStyle(style, options = {}) {
+  const { compact = false } = options;
+  const { outline } = style;
+  const palette = style.palette ? `Use ONLY these colors: ${style.palette.join(', ')}` : null;
+
+  const lines = compact
+    ? [
+      style.eraShort,
+      `Max ${style.maxColors} colors`,
+      palette,
+      style.antiAliasing ? 'Clean pixels, NO blur' : 'Clean pixels, NO anti-aliasing or blur',
+      outline.width > 0 ? `${outline.width}px ${outline.color} outline` : 'No outline',
+    ]
+    : [
+      style.era,
+      `Maximum ${style.maxColors} colors in palette`,
+      palette,
+      style.antiAliasing
+        ? 'Clean, crisp pixels - hand-placed anti-aliasing only, NO blur, NO smoothing'
+        : 'Clean, crisp pixels with NO anti-aliasing, NO blur, NO smoothing',
+      outline.width > 0
+        ? `Bold ${outline.width}px ${outline.color} outline around the character`
+        : 'No outline - shapes are defined by color contrast',
+      style.dithering ? 'Ordered dithering is allowed, but no gradient effects' : 'No dithering or gradient effects',
+      ...style.notes,
+    ];
+
+  return lines.filter(Boolean).map(line => `- ${line}`).join('\n');
+}
+
+export default {
+  STYLE_PRESETS,
+  listStyles,
+  resolveStyle,
+  describeStyle,
+};
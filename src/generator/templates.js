@@ -0,0 +1,96 @@
+/**
+ * Prompt templates
+ * Replaces the built-in strip and single-frame prompts with user text containing
+ * {{placeholders}}, set per spec (templates) or per project (SPRAITE_PROMPTS_FILE)
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Placeholders available to each kind of template
+ * - strip: one generated strip (or one part/grid of it)
+ * - frame: one frame of the per-frame fallback
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+  strip: [
+    'name', 'character.description', 'character.details',
+    'animation', 'motion', 'frames', 'fps', 'frameWidth', 'frameHeight', 'width', 'height',
+    'layout', 'direction', 'style', 'keyframes', 'playback', 'reference', 'sequence',
+  ],
+  frame: [
+    'name', 'character.description', 'character.details',
+    'animation', 'motion', 'frame', 'frames', 'frameWidth', 'frameHeight',
+    'phase', 'keyframe', 'direction', 'style', 'reference',
+  ],
+};
+
+/**
+ * Template kinds
+ */
+export const TEMPLATE_KINDS = Object.keys(TEMPLATE_PLACEHOLDERS);
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Resolves the template used for a kind of prompt
+ * @param {Object} spec - Sprite specification (spec.templates overrides the project templates)
+ * @param {string} kind - 'strip' or 'frame'
+ * @returns {string|null} Template text, or null for the built-in prompt
+ */
+export function resolveTemplate(spec, kind) {
+  const template = spec.templates?.[kind] ?? config.prompts.templates[kind] ?? null;
+  return Array.isArray(template) ? template.join('\n') : template;
+}
+
+/**
+ * Fills a template's placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values keyed by placeholder name (e.g. 'character.description')
+ * @returns {string} Prompt
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    if (!(name in values)) {
+      throw new Error(`Unknown template placeholder ${match}`);
+    }
+    return String(values[name] ?? '');
+  });
+}
+
+/**
+ * Checks a template for malformed or unknown placeholders
+ * @param {string} kind - 'strip' or 'frame'
+ * @param {*} template - Template as written (a string, or a list of lines)
+ * @returns {string[]} Problems, each completing a sentence that starts with the template's name
+ */
+export function checkTemplate(kind, template) {
+  const lines = Array.isArray(template) ? template : [template];
+  if (lines.length === 0 || !lines.every(line => typeof line === 'string')) {
+    return ['must be a string or a list of strings'];
+  }
+
+  const text = lines.join('\n');
+  const errors = [];
+  const available = TEMPLATE_PLACEHOLDERS[kind];
+
+  for (const [match, name] of text.matchAll(PLACEHOLDER)) {
+    if (!available.includes(name)) {
+      errors.push(`has unknown placeholder ${match} (available: ${available.join(', ')})`);
+    }
+  }
+
+  const unmatched = text.replace(PLACEHOLDER, '');
+  if (unmatched.includes('{{') || unmatched.includes('}}')) {
+    errors.push('has an unclosed or malformed {{placeholder}}');
+  }
+
+  return [...new Set(errors)];
+}
+
+export default {
+  TEMPLATE_PLACEHOLDERS,
+  TEMPLATE_KINDS,
+  resolveTemplate,
+  renderTemplate,
+  checkTemplate,
+};
@@ -3,20 +3,66 @@
  * Coordinates the full sprite generation pipeline
  */
 
-import { join } from 'path';
+import { join, dirname, resolve } from 'path';
+import { createHash } from 'crypto';
 import ora from 'ora';
 
 import { config, validateConfig } from './config.js';
 import logger from './utils/logger.js';
-import { ensureDir, readJson, writeJson, writeBinary } from './utils/file-utils.js';
+import { createProgress } from './utils/progress.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { ensureDir, writeJson, writeBinary, writeText } from './utils/file-utils.js';
 import {
   generateImageWithRetry,
+  generateImageCandidates,
   buildSpriteStripPrompt,
+  buildSingleFramePrompt,
+  buildModelSheetPrompt,
+  buildCorrectionPrompt,
   validateSpec,
+  getProvider,
+  hasCachedImage,
+  createCostTracker,
+  estimateImageCost,
+  formatCost,
+  planStripParts,
+  planGrid,
+  getPartLabel,
+  LAYOUTS,
+  resolveStyle,
+  resolveDirections,
+  planDirections,
+  getDirectionKey,
+  loadSpec,
+  resolveVariants,
+  resolvePlayback,
+  getFrameDuration,
+  ERROR_CLASSES,
 } from './generator/index.js';
-import { validateSpriteStrip, removeBackground } from './validator/index.js';
-import { sliceStrip } from './processor/slicer.js';
-import { packFrames } from './processor/packer.js';
+import {
+  resolveReferenceSettings,
+  loadReferenceImage,
+  generateModelSheet,
+} from './generator/reference.js';
+import { refineStripPrompt, getCachedRefinement } from './generator/prompt-refiner.js';
+import {
+  validateSpriteStrip,
+  scoreValidation,
+  removeBackground,
+  measureStrip,
+  scoreCandidate,
+  isBetterCandidate,
+  ISSUE_CODES,
+} from './validator/index.js';
+import { sliceStrip, sliceGrid } from './processor/slicer.js';
+import { packFrames, toPhaserAnims } from './processor/packer.js';
+import { assembleStrip, joinFrames } from './processor/assembler.js';
+import { recoverPixelArt } from './processor/pixel-grid.js';
+import { segmentStrip, SEGMENTATION_MODES } from './processor/segmenter.js';
+import { remapPalette } from './processor/recolor.js';
+import { quantizeImage, extractPalette } from './processor/quantize.js';
+import { loadPalette, remapToPalette } from './processor/palette.js';
+import { cleanupAlpha } from './processor/alpha-cleanup.js';
 import sharp from 'sharp';
 
 /**
@@ -30,62 +76,436 @@ export async function generateSprites(specPath, options = {}) {
     outputDir = null,
     dryRun = false,
     verbose = false,
+    provider: providerName = null,
+    cache = true,
+    maxAttempts = null,
+    reference: referenceOverride = null,
+    concurrency = null,
+    maxCost = null,
+    maxCalls = null,
+    refine: refineOverride = false,
+    layout: layoutOverride = null,
+    segmentation: segmentationOverride = null,
+    defaults = null,
+    paletteFile = config.palette.file,
   } = options;
 
   if (verbose) {
     logger.setLevel('debug');
   }
 
-  // Validate configuration
-  const configValidation = validateConfig();
-  if (!configValidation.isValid) {
+  // Resolve image provider and validate configuration
+  const provider = getProvider(providerName);
+  const configValidation = validateConfig({ requiresApiKey: provider.requiresApiKey });
+  if (!configValidation.isValid && !dryRun) {
     throw new Error(`Configuration invalid: ${configValidation.errors.join(', ')}`);
   }
 
   // Load and validate spec
   logger.info(`Loading spec from: ${specPath}`);
-  const spec = await readJson(specPath);
+  const spec = await loadSpec(specPath, { defaults });
 
   const specValidation = validateSpec(spec);
   if (!specValidation.isValid) {
     throw new Error(`Spec invalid: ${specValidation.errors.join(', ')}`);
   }
+  specValidation.warnings.forEach(w => logger.warn(`Spec ${w}`));
+
+  if (layoutOverride && !LAYOUTS.includes(layoutOverride)) {
+    throw new Error(`Unknown layout '${layoutOverride}' (expected one of: ${LAYOUTS.join(', ')})`);
+  }
+
+  if (segmentationOverride && !SEGMENTATION_MODES.includes(segmentationOverride)) {
+    throw new Error(`Unknown segmentation '${segmentationOverride}' (expected one of: ${SEGMENTATION_MODES.join(', ')})`);
+  }
+
+  const attemptLimit = maxAttempts ?? config.generation.maxValidationAttempts;
+  if (!Number.isInteger(attemptLimit) || attemptLimit < 1) {
+    throw new Error(`Max attempts must be a whole number of at least 1, got '${attemptLimit}'`);
+  }
+
+  const workers = concurrency ?? config.generation.concurrency;
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`Concurrency must be a whole number of at least 1, got '${workers}'`);
+  }
 
   const characterName = spec.name || 'character';
+  const refine = Boolean(refineOverride || spec.refine);
+  const referenceSettings = resolveReferenceSettings(spec, specPath, referenceOverride);
   const targetDir = outputDir || join(config.paths.root, config.paths.output, characterName);
+  const style = resolveStyle(spec);
+  const variants = resolveVariants(spec);
+  const paletteLock = paletteFile
+    ? { file: resolve(paletteFile), colors: await loadPalette(paletteFile), maxError: config.palette.maxError }
+    : null;
 
   logger.box(`Generating: ${characterName}`, `
   Frame size: ${spec.frameWidth}x${spec.frameHeight}
+  Style: ${style.label} (${style.name})
   Animations: ${Object.keys(spec.animations).join(', ')}
+  Directions: ${resolveDirections(spec)?.join(', ') ?? 'side view'}
+  Provider: ${provider.name}
+  Reference: ${describeReference(referenceSettings)}
+  Prompt refinement: ${refine ? 'on' : 'off'}
+  Layout: ${layoutOverride || spec.layout || 'strip'}
+  Segmentation: ${segmentationOverride || spec.segmentation || config.processing.segmentation}
+  Palette lock: ${paletteLock ? `${paletteLock.file} (${paletteLock.colors.length} colors)` : 'none'}
+  Variants: ${variants.map(v => `${v.name} (${v.spec ? 'generated' : 'recolored'})`).join(', ') || 'none'}
   Output: ${targetDir}
   `);
 
   if (dryRun) {
     logger.info('Dry run - no images will be generated');
-    return { dryRun: true, spec };
+    const projectionOptions = {
+      provider,
+      cache,
+      refine,
+      layout: layoutOverride,
+      maxAttempts: attemptLimit,
+    };
+    let projection = await projectCost(spec, referenceSettings, projectionOptions);
+
+    // Recolored variants are free; generated ones cost as much as their own spec
+    for (const variant of variants.filter(v => v.spec)) {
+      const variantReference = resolveReferenceSettings(variant.spec, specPath, referenceOverride);
+      projection = addProjections(projection, await projectCost(variant.spec, variantReference, projectionOptions));
+    }
+
+    logger.info(
+      `Projected cost: ${projection.imageCalls} image calls (${projection.cachedCalls} cached)` +
+      (refine ? `, ${projection.textCalls} refinement calls` : '') + ', ' +
+      `est. ${formatCost(projection.estimatedCost)}, up to ${formatCost(projection.maxEstimatedCost)} ` +
+      `if every animation needs all ${projection.maxAttempts} attempts` +
+      (config.generation.frameFallbackAfter > 0 ? ' and the per-frame fallback' : '')
+    );
+    return { dryRun: true, spec, projection };
   }
 
   await ensureDir(targetDir);
 
-  // Generate each animation strip
-  const allFrames = [];
-  const animationNames = Object.keys(spec.animations);
+  const tracker = createCostTracker({ billable: provider.billable, maxCost, maxCalls });
+  const generationOptions = {
+    provider: provider.name,
+    cache,
+    maxAttempts: attemptLimit,
+    tracker,
+    refine,
+    layout: layoutOverride,
+    segmentation: segmentationOverride,
+    paletteLock,
+  };
 
-  for (let i = 0; i < animationNames.length; i++) {
-    const animName = animationNames[i];
-    const animConfig = spec.animations[animName];
+  const run = {
+    characterName,
+    targetDir,
+    provider,
+    referenceSettings,
+    generationOptions,
+    concurrency: workers,
+    animationPrefix: spec.animationPrefix ?? config.phaser.animationPrefix,
+  };
+
+  try {
+    const result = await generateCharacter(spec, run);
+
+    result.variants = [];
+    for (const variant of variants) {
+      result.variants.push(await generateVariant(variant, result, { ...run, specPath, referenceOverride }));
+    }
+
+    // Generated variants add to the run's cost
+    result.cost = tracker.summary();
+    return result;
+  } catch (error) {
+    error.cost ??= tracker.summary();
+    throw error;
+  }
+}
+
+/**
+ * Generates every animation for a validated spec, then packs and writes the outputs
+ * @param {Object} spec - Sprite specification
+ * @param {Object} run - Run settings
+ * @param {string} run.characterName - Output name
+ * @param {string} run.targetDir - Output directory
+ * @param {Object} run.provider - Image provider
+ * @param {Object|null} run.referenceSettings - Reference-image settings
+ * @param {Object} run.generationOptions - Options passed to each generation (provider, cache, maxAttempts, tracker, refine, layout, segmentation)
+ * @param {number} run.concurrency - Animations generated in parallel
+ * @param {string} run.animationPrefix - Phaser animation key prefix (see writeCharacter)
+ * @param {Object} [run.palette] - Variant palette applied to the frames before packing
+ * @param {number} [run.tolerance] - Color distance matched around each palette color
+ * @returns {Promise<Object>} Generation result, including the packed frames
+ */
+async function generateCharacter(spec, run) {
+  const { characterName, targetDir, provider, referenceSettings, generationOptions, concurrency } = run;
+
+  // Prepare the canonical reference image, if one is not produced by an animation
+  let referenceImage = null;
+  if (referenceSettings?.mode === 'model-sheet') {
+    const spinner = ora('Generating reference model sheet...').start();
+    referenceImage = await generateModelSheet(spec, generationOptions);
+    spinner.succeed('Reference model sheet generated');
+  } else if (referenceSettings?.mode === 'image') {
+    referenceImage = await loadReferenceImage(referenceSettings.path);
+  }
+
+  // Generate animation strips in parallel; in 'animation' mode the reference
+  // animation goes first (text-only) and its strip conditions every later one
+  const tasks = planAnimationTasks(spec);
+  const generated = tasks.filter(task => !task.mirrorOf);
+  const referenceFirst = referenceSettings?.mode === 'animation'
+    ? [generated.find(task => task.animName === referenceSettings.animation)]
+    : [];
+  const remaining = generated.filter(task => !referenceFirst.includes(task));
+  const progress = createProgress(generated.length);
+  const results = {};
+
+  // Everything an animation reports goes through its progress handle so the shared spinner stays readable
+  const runAnimation = async (task) => {
+    const animConfig = spec.animations[task.animName];
+    const taskProgress = progress.task(task.key);
+    taskProgress.update(`starting (${animConfig.frames} frames)`);
+
+    results[task.key] = await generateAnimation(spec, task.animName, animConfig, targetDir, {
+      ...generationOptions,
+      reference: referenceImage,
+      direction: task.direction,
+      progress: taskProgress,
+    });
+  };
+
+  try {
+    for (const task of referenceFirst) {
+      await runAnimation(task);
+      referenceImage = results[task.key].strip;
+    }
+
+    await mapWithConcurrency(remaining, concurrency, runAnimation);
+  } finally {
+    progress.stop();
+  }
+
+  // Left-facing directions are flipped copies, not extra API calls
+  for (const task of tasks.filter(t => t.mirrorOf)) {
+    results[task.key] = await mirrorAnimation(results[task.mirrorOf], task, spec, targetDir);
+  }
+
+  // Collect frames in spec order so atlas and animations.json are stable
+  let allFrames = [];
+  const animationReports = {};
+  for (const task of tasks) {
+    allFrames.push(...results[task.key].frames);
+    animationReports[task.key] = results[task.key].report;
+  }
+
+  // Animations whose strip was assembled from individually generated frames
+  const frameFallback = tasks.map(t => t.key).filter(key => animationReports[key].fallback?.selected);
+
+  // Record the reference used
+  let referenceRecord = null;
+  if (referenceSettings && referenceImage) {
+    await writeBinary(join(targetDir, 'reference.png'), referenceImage);
+    referenceRecord = {
+      ...referenceSettings,
+      file: 'reference.png',
+      sha256: createHash('sha256').update(referenceImage).digest('hex'),
+    };
+  }
+
+  // Prompt-level variants can also recolor their frames
+  let palette = null;
+  if (run.palette) {
+    ({ frames: allFrames, palette } = await recolorVariant(allFrames, run.palette, run.tolerance, generationOptions.paletteLock));
+  }
+
+  const cost = generationOptions.tracker.summary();
+  const files = await writeCharacter(allFrames, {
+    character: characterName,
+    provider: provider.name,
+    generatedAt: new Date().toISOString(),
+    style: resolveStyle(spec).name,
+    reference: referenceRecord,
+    ...(palette ? { palette } : {}),
+    paletteLock: describePaletteLock(generationOptions.paletteLock),
+    frameFallback,
+    animations: animationReports,
+    cost,
+  }, { characterName, targetDir, animationPrefix: run.animationPrefix });
+
+  logger.info(
+    `API usage: ${cost.imageCalls} image calls (${cost.failedCalls} failed, ${cost.cacheHits} cached)` +
+    (cost.textCalls > 0 ? `, ${cost.textCalls} text calls` : '') + ', ' +
+    `est. cost ${formatCost(cost.estimatedCost, cost.currency)}`
+  );
+
+  return {
+    success: true,
+    characterName,
+    provider: provider.name,
+    outputDir: targetDir,
+    files,
+    frames: allFrames,
+    frameCount: allFrames.length,
+    animations: animationReports,
+    frameFallback,
+    reference: referenceRecord,
+    cost,
+  };
+}
+
+/**
+ * Produces one variant of a generated character
+ * Palette-only variants recolor the base frames locally; variants with overrides
+ * generate their merged spec (and then recolor it, if they also have a palette)
+ * @param {import('./generator/spec-loader.js').Variant} variant - Resolved variant
+ * @param {Object} base - generateCharacter result for the spec itself
+ * @param {Object} run - Run settings (see generateCharacter), plus specPath and referenceOverride
+ * @returns {Promise<Object>} Variant result, shaped like the base result
+ */
+async function generateVariant(variant, base, run) {
+  // Variants are written next to the base character's directory
+  const targetDir = join(dirname(run.targetDir), variant.name);
+  await ensureDir(targetDir);
+
+  if (variant.spec) {
+    logger.info(`Variant ${variant.key}: generating ${variant.name}`);
+    const result = await generateCharacter(variant.spec, {
+      ...run,
+      characterName: variant.name,
+      targetDir,
+      referenceSettings: resolveReferenceSettings(variant.spec, run.specPath, run.referenceOverride),
+      palette: variant.palette,
+      tolerance: variant.tolerance,
+    });
+    return { ...result, variantOf: base.characterName };
+  }
+
+  logger.info(`Variant ${variant.key}: recoloring ${base.characterName} as ${variant.name}`);
+  const recolored = await recolorVariant(base.frames, variant.palette, variant.tolerance, run.generationOptions.paletteLock);
+  const files = await writeCharacter(recolored.frames, {
+    character: variant.name,
+    variantOf: base.characterName,
+    generatedAt: new Date().toISOString(),
+    palette: recolored.palette,
+    paletteLock: describePaletteLock(run.generationOptions.paletteLock),
+  }, { characterName: variant.name, targetDir, animationPrefix: run.animationPrefix });
+
+  return {
+    success: true,
+    characterName: variant.name,
+    variantOf: base.characterName,
+    outputDir: targetDir,
+    files,
+    frames: recolored.frames,
+    frameCount: recolored.frames.length,
+  };
+}
+
+/**
+ * Recolors frames with a variant palette, then remaps them to the project palette lock
+ * The strips were locked before recoloring, so a variant palette could otherwise
+ * bring back colors the project palette does not have
+ * @param {Object[]} frames - Frame data (see generateAnimation)
+ * @param {Object} colors - Variant palette (mapping of source to target colors)
+ * @param {number} tolerance - Color distance matched around each source color (default: config)
+ * @param {Object|null} lock - Project palette lock ({ colors, maxError }), if any
+ * @returns {Promise<{frames: Object[], palette: Object}>} Recolored frames and the palette entry of report.json
+ */
+async function recolorVariant(frames, colors, tolerance, lock) {
+  const recolored = await recolorFrames(frames, colors, tolerance);
+  const palette = {
+    colors,
+    tolerance: tolerance ?? config.processing.paletteTolerance,
+    recoloredPixels: recolored.pixels,
+  };
+
+  if (!lock) {
+    return { frames: recolored.frames, palette };
+  }
+
+  const locked = await lockFrames(recolored.frames, lock);
+  return { frames: locked.frames, palette: { ...palette, paletteLock: locked.paletteLock } };
+}
+
+/**
+ * Remaps frames to the project palette; frames whose colors were further from the
+ * palette than allowed fail the palette gate, as strips do
+ * @param {Object[]} frames - Frame data (see generateAnimation)
+ * @param {Object} lock - Project palette lock ({ colors, maxError })
+ * @returns {Promise<{frames: Object[], paletteLock: Object}>} Remapped frames and the mean and largest
+ *   color error (delta E) over all of them, with the gate's result
+ */
+async function lockFrames(frames, lock) {
+  const locked = [];
+  let totalError = 0;
+  let maxError = 0;
+  let pixels = 0;
+
+  for (const frame of frames) {
+    const result = await remapToPalette(frame.buffer, lock.colors);
+    locked.push({ ...frame, buffer: result.buffer });
+    totalError += result.meanError * result.pixels;
+    maxError = Math.max(maxError, result.maxError);
+    pixels += result.pixels;
+  }
+
+  const meanError = Math.round((pixels > 0 ? totalError / pixels : 0) * 10) / 10;
+  const paletteLock = {
+    meanError,
+    maxError: Math.round(maxError * 10) / 10,
+    isValid: meanError <= lock.maxError,
+    errors: [],
+  };
+
+  if (!paletteLock.isValid) {
+    paletteLock.errors.push(`Colors are ${meanError} delta E from the project palette on average (max ${lock.maxError})`);
+    logger.warn(`Variant palette: ${paletteLock.errors[0]} - check the variant colors against the project palette`);
+  }
+
+  return { frames: locked, paletteLock };
+}
 
-    logger.step(i + 1, animationNames.length, `Generating ${animName} (${animConfig.frames} frames)`);
+/**
+ * Recolors frames with a variant palette
+ * @param {Object[]} frames - Frame data (see generateAnimation)
+ * @param {Object} palette - Mapping of source to target colors
+ * @param {number} tolerance - Color distance matched around each source color (default: config)
+ * @returns {Promise<{frames: Object[], pixels: number}>} Recolored frames and the number of pixels changed
+ */
+async function recolorFrames(frames, palette, tolerance) {
+  const recolored = [];
+  let pixels = 0;
 
-    const frames = await generateAnimation(spec, animName, animConfig, targetDir);
-    allFrames.push(...frames);
+  for (const frame of frames) {
+    const result = await remapPalette(frame.buffer, palette, { tolerance });
+    recolored.push({ ...frame, buffer: result.buffer });
+    pixels += result.recolored;
   }
 
-  // Pack all frames into atlas
+  if (pixels === 0) {
+    logger.warn('No pixels matched the variant palette - check its colors against the generated frames');
+  }
+
+  return { frames: recolored, pixels };
+}
+
+/**
+ * Packs frames into an atlas and writes a character's output files
+ * @param {Object[]} frames - Frame data (see generateAnimation)
+ * @param {Object} report - Contents of report.json
+ * @param {Object} output - Output settings
+ * @param {string} output.characterName - Output name (atlas file names and texture key)
+ * @param {string} output.targetDir - Output directory
+ * @param {string} output.animationPrefix - Phaser animation key prefix; {{name}} is replaced by characterName
+ * @returns {Promise<Object>} Paths of the written files (image, atlas, animations, phaserAnims, report)
+ */
+async function writeCharacter(frames, report, output) {
+  const { characterName, targetDir, animationPrefix } = output;
   const spinner = ora('Packing sprite atlas...').start();
 
   try {
-    const atlasResult = await packFrames(allFrames, {
+    const atlasResult = await packFrames(frames, {
       padding: 1,
       maxWidth: 2048,
     });
@@ -93,33 +513,34 @@ export async function generateSprites(specPath, options = {}) {
     // Set the image filename in atlas metadata
     atlasResult.atlas.meta.image = `${characterName}.png`;
 
+    // Final palette, after quantization and recoloring
+    const palette = await extractPalette(frames.map(frame => frame.buffer));
+    report = { ...report, colors: { count: palette.length, palette } };
+
     // Write output files
-    const imagePath = join(targetDir, `${characterName}.png`);
-    const atlasPath = join(targetDir, `${characterName}.json`);
-    const animationsPath = join(targetDir, 'animations.json');
+    const files = {
+      image: join(targetDir, `${characterName}.png`),
+      atlas: join(targetDir, `${characterName}.json`),
+      animations: join(targetDir, 'animations.json'),
+      phaserAnims: join(targetDir, `${characterName}.anims.json`),
+      report: join(targetDir, 'report.json'),
+    };
 
-    await writeBinary(imagePath, atlasResult.image);
-    await writeJson(atlasPath, atlasResult.atlas);
-    await writeJson(animationsPath, atlasResult.animations);
+    await writeBinary(files.image, atlasResult.image);
+    await writeJson(files.atlas, atlasResult.atlas);
+    await writeJson(files.animations, atlasResult.animations);
+    await writeJson(files.phaserAnims, toPhaserAnims(atlasResult.animations, {
+      textureKey: characterName,
+      prefix: animationPrefix.replaceAll('{{name}}', characterName),
+    }));
+    await writeJson(files.report, report);
 
-    spinner.succeed('Atlas packed successfully');
+    spinner.succeed(`Atlas packed successfully (${palette.length} colors)`);
 
     logger.success(`Generated files:`);
-    logger.info(`  - ${imagePath}`);
-    logger.info(`  - ${atlasPath}`);
-    logger.info(`  - ${animationsPath}`);
+    Object.values(files).forEach(file => logger.info(`  - ${file}`));
 
-    return {
-      success: true,
-      characterName,
-      outputDir: targetDir,
-      files: {
-        image: imagePath,
-        atlas: atlasPath,
-        animations: animationsPath,
-      },
-      frameCount: allFrames.length,
-    };
+    return files;
   } catch (error) {
     spinner.fail('Atlas packing failed');
     throw error;
@@ -127,100 +548,962 @@ export async function generateSprites(specPath, options = {}) {
 }
 
 /**
- * Generates a single animation strip and returns frame data
+ * Generates an animation and returns frame data
+ * Animations longer than config.generation.maxFramesPerStrip are generated as
+ * overlapping sub-strips (see layout.js); the repeated frames are dropped when
+ * the parts are stitched back into one frame sequence. In grid layout the whole
+ * animation is requested as one rows x columns grid instead
  * @param {Object} spec - Sprite specification
  * @param {string} animName - Animation name
  * @param {Object} animConfig - Animation configuration
  * @param {string} outputDir - Output directory for intermediate files
- * @returns {Promise<Object[]>} Array of frame data objects
+ * @param {Object} options - Generation options
+ * @param {string} options.provider - Image provider name
+ * @param {boolean} options.cache - Use the generation cache
+ * @param {number} options.maxAttempts - Generate/validate attempts (default: config.generation.maxValidationAttempts)
+ * @param {Buffer} options.reference - Canonical reference image to condition on
+ * @param {Object} options.tracker - Cost tracker for the run
+ * @param {boolean} options.refine - Refine the strip prompt with the text model first
+ * @param {string} options.layout - Layout override ('strip' or 'grid'; default: animation, then spec, then 'strip')
+ * @param {string} options.segmentation - Segmentation override ('fixed' or 'content'; default: animation,
+ *   then spec, then config.processing.segmentation)
+ * @param {string} options.direction - Facing direction for directional sprites; frames are named by
+ *   getDirectionKey (e.g. walk_left_0)
+ * @param {Object} options.progress - Progress handle for this animation (see utils/progress.js)
+ * @returns {Promise<{frames: Object[], strip: Buffer, report: Object}>} Frame data, selected strip and validation report
  */
-async function generateAnimation(spec, animName, animConfig, outputDir) {
+async function generateAnimation(spec, animName, animConfig, outputDir, options = {}) {
   const { frameWidth, frameHeight } = spec;
   const { frames: frameCount, fps } = animConfig;
-
-  const spinner = ora(`  Generating ${animName}...`).start();
+  const { progress } = options;
+  const key = getDirectionKey(animName, options.direction ?? null);
+  const layout = getLayout(spec, animConfig, options.layout);
+  const segmentation = getSegmentation(spec, animConfig, options.segmentation);
+  const parts = planStripParts(frameCount, layout === 'grid' ? { maxFrames: frameCount } : {});
 
   try {
-    // Build prompt for this animation
-    const prompt = buildSpriteStripPrompt(spec, animName, animConfig);
+    const frameBuffers = [];
+    const results = [];
+    let previousStrip = null;
 
-    // Calculate expected strip dimensions
-    const stripWidth = frameWidth * frameCount;
-    const stripHeight = frameHeight;
+    // Each part after the first is conditioned on the strip selected for the part before it
+    for (const part of parts) {
+      const result = await generateStrip(spec, animName, animConfig, part, outputDir, { ...options, layout, previousStrip });
+      results.push(result);
+      previousStrip = result.imageBuffer;
 
-    // Generate the image
-    let imageBuffer = await generateImageWithRetry(prompt, {
-      width: stripWidth,
-      height: stripHeight,
-      quality: 'high',
-    });
+      // Save strip for debugging
+      await writeBinary(join(outputDir, `strip_${result.label}.png`), result.imageBuffer);
+
+      // Slice into individual frames; overlapping frames repeat the previous part
+      progress.update(parts.length > 1 ? `slicing part ${part.index + 1}/${parts.length}` : 'slicing frames');
+      let extractedFrames;
+      if (segmentation === 'content') {
+        const segmented = await segmentStrip(result.imageBuffer, frameWidth, frameHeight, part.frames);
+        extractedFrames = segmented.frames;
+        result.report.segmentation = segmented.report;
 
-    // Resize to exact dimensions if needed
-    const metadata = await sharp(imageBuffer).metadata();
-    if (metadata.width !== stripWidth || metadata.height !== stripHeight) {
-      spinner.text = `  Resizing ${animName} to ${stripWidth}x${stripHeight}...`;
-      imageBuffer = await sharp(imageBuffer)
-        .resize(stripWidth, stripHeight, {
-          kernel: sharp.kernel.nearest,
-          fit: 'fill',
-        })
-        .png()
-        .toBuffer();
-    }
-
-    // Validate the strip
-    spinner.text = `  Validating ${animName}...`;
-    const validation = await validateSpriteStrip(imageBuffer, frameWidth, frameHeight, frameCount);
-
-    if (!validation.isValid) {
-      spinner.warn(`  ${animName}: validation warnings`);
-      logger.warn(`Validation issues for ${animName}:`);
-      validation.errors.forEach(e => logger.warn(`  - ${e}`));
-
-      // Attempt to fix transparency issues
-      if (validation.errors.some(e => e.includes('transparent'))) {
-        spinner.text = `  Fixing transparency for ${animName}...`;
-        imageBuffer = await removeBackground(imageBuffer, {
-          backgroundColor: { r: 255, g: 255, b: 255 },
-          tolerance: 30,
-        });
+        if (segmented.report.detected !== part.frames) {
+          progress.warn(
+            `  ${result.label}: found ${segmented.report.detected} figures for ${part.frames} frames` +
+            (segmented.report.matched ? '' : ', cut at fixed offsets')
+          );
+        }
+      } else {
+        extractedFrames = await sliceStrip(result.imageBuffer, frameWidth, frameHeight, part.frames);
       }
+      frameBuffers.push(...extractedFrames.slice(part.overlap).map(frame => frame.buffer));
     }
 
-    // Save strip for debugging
-    const stripPath = join(outputDir, `strip_${animName}.png`);
-    await writeBinary(stripPath, imageBuffer);
-
-    // Slice into individual frames
-    spinner.text = `  Slicing ${animName} frames...`;
-    const extractedFrames = await sliceStrip(imageBuffer, frameWidth, frameHeight, frameCount);
+    let strip = results[0].imageBuffer;
+    if (parts.length > 1) {
+      strip = await joinFrames(frameBuffers, frameWidth, frameHeight);
+      await writeBinary(join(outputDir, `strip_${key}.png`), strip);
+    }
 
     // Convert to frame data format for packer
-    const frameData = extractedFrames.map((frame, index) => ({
-      name: `${animName}_${index}`,
-      buffer: frame.buffer,
+    const playback = resolvePlayback(animConfig);
+    const frameData = frameBuffers.map((buffer, index) => ({
+      name: `${key}_${index}`,
+      buffer,
       width: frameWidth,
       height: frameHeight,
-      animation: animName,
+      animation: key,
       frameIndex: index,
       fps: fps,
+      duration: getFrameDuration(animConfig, index),
+      playback,
     }));
 
-    spinner.succeed(`  ${animName}: ${frameCount} frames`);
-    return frameData;
+    const attempts = results.reduce((sum, r) => sum + r.report.attempts, 0);
+    const candidates = results.reduce((sum, r) => sum + r.tried, 0);
+    const notes = [];
+    if (parts.length > 1) notes.push(`${parts.length} parts`);
+    if (attempts > parts.length) notes.push(`${attempts} attempts`);
+    if (candidates > attempts) notes.push(`best of ${candidates} candidates`);
+    if (results.some(r => r.report.fallback?.selected)) notes.push('per-frame fallback');
+    progress.succeed(`  ${key}: ${frameData.length} frames` + (notes.length > 0 ? ` (${notes.join(', ')})` : ''));
+
+    return {
+      frames: frameData,
+      strip,
+      report: parts.length === 1 ? results[0].report : combinePartReports(results),
+    };
   } catch (error) {
-    spinner.fail(`  ${animName}: generation failed`);
+    const errorClass = error.errorClass ? ` [${error.errorClass}]` : '';
+    progress.fail(`  ${key}: generation failed${errorClass}`);
+    error.animation ??= key;
     throw error;
   }
 }
 
+/**
+ * Expands the spec's animations into one generation task per direction
+ * Animations without directions produce a single task keyed by their name
+ * @param {Object} spec - Sprite specification
+ * @returns {{key: string, animName: string, direction: string|null, mirrorOf: string|null}[]}
+ *   Tasks in spec order, then direction order; mirrorOf is the key of the task to flip
+ */
+function planAnimationTasks(spec) {
+  const tasks = [];
+
+  for (const [animName, animConfig] of Object.entries(spec.animations)) {
+    const directions = resolveDirections(spec, animConfig);
+    if (!directions) {
+      tasks.push({ key: animName, animName, direction: null, mirrorOf: null });
+      continue;
+    }
+
+    for (const { direction, mirrorOf } of planDirections(directions)) {
+      tasks.push({
+        key: getDirectionKey(animName, direction),
+        animName,
+        direction,
+        mirrorOf: mirrorOf ? getDirectionKey(animName, mirrorOf) : null,
+      });
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Builds a mirrored direction by flipping each frame of a generated one
+ * Frames are flipped individually so they keep their order in the strip
+ * @param {Object} source - generateAnimation result for the direction being mirrored
+ * @param {Object} task - Task for the mirrored direction (see planAnimationTasks)
+ * @param {Object} spec - Sprite specification
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<{frames: Object[], strip: Buffer, report: Object}>} Same shape as generateAnimation
+ */
+async function mirrorAnimation(source, task, spec, outputDir) {
+  const { frameWidth, frameHeight } = spec;
+  const frameBuffers = [];
+
+  for (const frame of source.frames) {
+    frameBuffers.push(await sharp(frame.buffer).flop().png({ compressionLevel: 9 }).toBuffer());
+  }
+
+  const strip = await joinFrames(frameBuffers, frameWidth, frameHeight);
+  await writeBinary(join(outputDir, `strip_${task.key}.png`), strip);
+
+  logger.success(`${task.key}: mirrored from ${task.mirrorOf}`);
+
+  return {
+    frames: source.frames.map((frame, index) => ({
+      ...frame,
+      name: `${task.key}_${index}`,
+      buffer: frameBuffers[index],
+      animation: task.key,
+    })),
+    strip,
+    report: {
+      mirroredFrom: task.mirrorOf,
+      isValid: source.report.isValid,
+      score: source.report.score,
+    },
+  };
+}
+
+/**
+ * Generates one strip (a whole animation, or one part of a long one)
+ * Each attempt requests the animation's candidate count; the best candidate is
+ * kept and the others are saved to candidates/. Regenerates with corrective
+ * prompts until a strip validates or the attempt budget runs out; after repeated
+ * frame-count/separation failures, falls back to generating frames one by one
+ * @param {Object} spec - Sprite specification
+ * @param {string} animName - Animation name
+ * @param {Object} animConfig - Animation configuration
+ * @param {Object} part - Strip part from planStripParts
+ * @param {string} outputDir - Output directory for intermediate files
+ * @param {Object} options - Generation options (see generateAnimation; layout is resolved)
+ * @param {Buffer} options.previousStrip - Selected strip of the previous part; replaces the reference for
+ *   the strip request (the per-frame fallback keeps the canonical reference)
+ * @returns {Promise<{label: string, imageBuffer: Buffer, tried: number, report: Object}>} Selected strip and its report
+ */
+async function generateStrip(spec, animName, animConfig, part, outputDir, options) {
+  const { frameWidth, frameHeight } = spec;
+  const { frames: frameCount } = part;
+  const maxAttempts = options.maxAttempts ?? config.generation.maxValidationAttempts;
+  const candidateCount = animConfig.candidates ?? spec.candidates ?? 1;
+  const fallbackAfter = config.generation.frameFallbackAfter;
+  const chunked = part.count > 1;
+  const label = getPartLabel(getDirectionKey(animName, options.direction ?? null), part);
+  const status = chunked ? `part ${part.index + 1}/${part.count}, ` : '';
+  const partConfig = { ...animConfig, frames: frameCount };
+  const grid = options.layout === 'grid' ? planGrid(frameCount, frameWidth, frameHeight) : null;
+  const { progress } = options;
+  const reference = options.previousStrip ?? options.reference;
+
+  // Build prompt for this strip
+  let basePrompt = buildSpriteStripPrompt(spec, animName, partConfig, {
+    hasReference: Boolean(reference),
+    previousPart: Boolean(options.previousStrip),
+    part: chunked ? part : null,
+    grid,
+    direction: options.direction,
+  });
+
+  // Optionally run it through the text model, keeping both versions for review
+  // A failed refinement falls back to the original prompt; budget errors still stop the run
+  let refined = false;
+  if (options.refine) {
+    progress.update(`${status}refining prompt`);
+    let refinedPrompt = null;
+    try {
+      refinedPrompt = await refineStripPrompt(basePrompt, {
+        spec,
+        animName: label,
+        animConfig: partConfig,
+        provider: options.provider,
+        cache: options.cache,
+        tracker: options.tracker,
+      });
+    } catch (error) {
+      if (error.errorClass === ERROR_CLASSES.BUDGET) throw error;
+      progress.warn(`  ${label}: prompt refinement failed, using the original prompt (${error.message})`);
+    }
+
+    if (refinedPrompt) {
+      refined = true;
+      await writeText(join(outputDir, `prompt_${label}.txt`), basePrompt);
+      await writeText(join(outputDir, `prompt_${label}.refined.txt`), refinedPrompt);
+      basePrompt = refinedPrompt;
+    }
+  }
+
+  let prompt = basePrompt;
+  let best = null;
+  let attempts = 0;
+  let layoutFailures = 0;
+  const tried = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    attempts = attempt;
+    progress.update(`${status}generating (attempt ${attempt}/${maxAttempts})`);
+
+    const candidates = await generateStripCandidates(prompt, spec, label, partConfig, {
+      ...options,
+      reference,
+      candidates: candidateCount,
+      grid,
+    });
+
+    let result = null;
+    for (const candidate of candidates) {
+      candidate.attempt = attempt;
+      tried.push(candidate);
+      if (isBetterCandidate(candidate, result)) result = candidate;
+    }
+
+    if (isBetterCandidate(result, best)) {
+      best = result;
+    }
+
+    if (result.validation.isValid) {
+      break;
+    }
+
+    logger.debug(`${label} attempt ${attempt} failed validation (score ${result.score}): ${result.validation.issues.join(', ')}`);
+
+    if (result.validation.issues.includes(ISSUE_CODES.FRAME_COUNT) || result.metrics.separation < 1) {
+      layoutFailures++;
+      if (fallbackAfter > 0 && layoutFailures >= fallbackAfter) break;
+    }
+
+    // Feed the specific failures back into the next prompt
+    prompt = buildCorrectionPrompt(basePrompt, result.validation.issues, {
+      frames: frameCount,
+      frameWidth,
+      frameHeight,
+      detectedFrames: result.validation.metadata.detectedFrames,
+      grid,
+      colors: result.validation.metadata.colors,
+      maxColors: getColorSettings(spec, resolveStyle(spec)).maxColors,
+      palette: options.paletteLock?.colors,
+      partialAlpha: result.validation.metadata.partialAlpha,
+    });
+  }
+
+  if (!best) {
+    throw new Error(`${label}: no strip was generated (max attempts is ${maxAttempts})`);
+  }
+
+  // A model that keeps merging or miscounting figures rarely recovers with
+  // another strip prompt, so build the strip from individually generated frames
+  let fallback = null;
+  if (!best.validation.isValid && fallbackAfter > 0 && layoutFailures >= fallbackAfter) {
+    progress.warn(`  ${label}: strip layout failed ${layoutFailures} times, generating frames individually`);
+    const synthetic = await generateFrameFallback(spec, animName, animConfig, part, options);
+    const selected = isBetterCandidate(synthetic, best);
+
+    fallback = {
+      layoutFailures,
+      selected,
+      isValid: synthetic.validation.isValid,
+      score: synthetic.score,
+      baseline: synthetic.baseline,
+    };
+
+    if (selected) {
+      best = synthetic;
+    }
+  }
+
+  const { imageBuffer, validation } = best;
+
+  if (!validation.isValid) {
+    progress.warn([
+      `  ${label}: validation warnings (best of ${attempts} attempts, score ${best.score})`,
+      ...validation.errors.map(e => `    - ${e}`),
+    ].join('\n'));
+  }
+
+  // Keep the losing candidates so an artist can swap one in
+  const candidateReport = [];
+  if (candidateCount > 1) {
+    for (const candidate of tried) {
+      const selected = candidate === best;
+      const file = selected
+        ? `strip_${label}.png`
+        : join('candidates', `${label}_${candidate.attempt}_${candidate.index}.png`);
+
+      if (!selected) {
+        await writeBinary(join(outputDir, file), candidate.imageBuffer);
+      }
+
+      candidateReport.push({
+        file,
+        attempt: candidate.attempt,
+        candidate: candidate.index,
+        selected,
+        isValid: candidate.validation.isValid,
+        score: candidate.score,
+        metrics: candidate.metrics,
+      });
+    }
+  }
+
+  return {
+    label,
+    imageBuffer,
+    tried: tried.length,
+    report: {
+      isValid: validation.isValid,
+      score: best.score,
+      metrics: best.metrics,
+      pixelGrid: best.pixelGrid,
+      colors: validation.metadata.colors,
+      partialAlpha: validation.metadata.partialAlpha,
+      alphaCleanup: best.alphaCleanup,
+      quantization: best.quantization,
+      paletteLock: best.paletteLock,
+      layout: grid ? { mode: 'grid', columns: grid.columns, rows: grid.rows } : { mode: 'strip' },
+      attempts,
+      selectedAttempt: best.attempt,
+      selectedCandidate: best.index,
+      errors: validation.errors,
+      refinedPrompt: refined,
+      candidates: candidateReport,
+      fallback,
+    },
+  };
+}
+
+/**
+ * Combines the reports of a chunked animation's parts
+ * @param {Object[]} results - generateStrip results, in part order
+ * @returns {Object} Animation report; per-part details are under parts
+ */
+function combinePartReports(results) {
+  const reports = results.map(r => r.report);
+
+  return {
+    isValid: reports.every(r => r.isValid),
+    score: Math.min(...reports.map(r => r.score)),
+    attempts: reports.reduce((sum, r) => sum + r.attempts, 0),
+    errors: results.flatMap(r => r.report.errors.map(e => `${r.label}: ${e}`)),
+    refinedPrompt: reports[0].refinedPrompt,
+    fallback: reports.some(r => r.fallback?.selected) ? { selected: true } : null,
+    parts: results.map(r => ({ file: `strip_${r.label}.png`, ...r.report })),
+  };
+}
+
+/**
+ * Generates, normalizes, validates and scores the candidates of one strip attempt
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} spec - Sprite specification
+ * @param {string} label - Animation name, or part label for chunked animations (selects the fixture)
+ * @param {Object} animConfig - Animation (or part) configuration
+ * @param {Object} options - Generation options (provider, cache, reference, tracker, progress, candidates, grid, paletteLock)
+ * @returns {Promise<Object[]>} Candidates ({ index, imageBuffer, validation, metrics, pixelGrid, alphaCleanup, quantization,
+ *   paletteLock, score }); grids are
+ *   converted to strips, so every candidate is a horizontal strip
+ */
+async function generateStripCandidates(prompt, spec, label, animConfig, options) {
+  const { frameWidth, frameHeight } = spec;
+  const { frames: frameCount } = animConfig;
+  const style = resolveStyle(spec);
+  const { maxColors, quantize } = getColorSettings(spec, style);
+  const thresholds = { ...style.validation, maxColors };
+
+  const { grid = null } = options;
+
+  // Calculate expected image dimensions
+  const imageWidth = grid ? grid.width : frameWidth * frameCount;
+  const imageHeight = grid ? grid.height : frameHeight;
+
+  // Generate the images
+  const images = await generateImageCandidates(prompt, {
+    width: imageWidth,
+    height: imageHeight,
+    quality: 'high',
+    provider: options.provider,
+    cache: options.cache,
+    reference: options.reference,
+    tracker: options.tracker,
+    progress: options.progress,
+    label,
+    n: options.candidates ?? 1,
+    frameCount,
+    grid,
+    fixture: { name: spec.name, animation: label },
+  });
+
+  const candidates = [];
+  for (const [index, generated] of images.entries()) {
+    const { imageBuffer, validation, pixelGrid, alphaCleanup, quantization, paletteLock } = await normalizeStrip(generated, frameWidth, frameHeight, frameCount, {
+      grid,
+      thresholds,
+      cleanup: getAlphaCleanup(spec),
+      quantize,
+      lock: options.paletteLock,
+    });
+    const metrics = await measureStrip(imageBuffer, frameWidth, frameHeight, frameCount, { maxColors });
+
+    candidates.push({
+      index,
+      imageBuffer,
+      validation,
+      metrics,
+      pixelGrid,
+      alphaCleanup,
+      quantization,
+      paletteLock,
+      score: scoreCandidate(validation, metrics),
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Generates each frame of a strip separately and assembles them into a
+ * synthetic strip on a shared baseline
+ * @param {Object} spec - Sprite specification
+ * @param {string} animName - Animation name
+ * @param {Object} animConfig - Animation configuration
+ * @param {Object} part - Strip part from planStripParts
+ * @param {Object} options - Generation options (provider, cache, reference, tracker, direction, progress, paletteLock)
+ * @returns {Promise<Object>} Scored strip ({ imageBuffer, validation, metrics, score, baseline })
+ */
+async function generateFrameFallback(spec, animName, animConfig, part, options) {
+  const { frameWidth, frameHeight } = spec;
+  const { frames: frameCount } = part;
+  const style = resolveStyle(spec);
+  const { maxColors, quantize } = getColorSettings(spec, style);
+  const thresholds = { ...style.validation, maxColors };
+  const cleanup = getAlphaCleanup(spec);
+  const key = getDirectionKey(animName, options.direction ?? null);
+  const frameBuffers = [];
+  const cleanups = [];
+
+  for (let offset = 0; offset < frameCount; offset++) {
+    const frameIndex = part.start + offset;
+    options.progress.update(`fallback frame ${frameIndex + 1}/${animConfig.frames}`);
+
+    const prompt = buildSingleFramePrompt(spec, animName, frameIndex, animConfig.frames, {
+      hasReference: Boolean(options.reference),
+      direction: options.direction,
+      animationConfig: animConfig,
+    });
+    const generated = await generateImageWithRetry(prompt, {
+      width: frameWidth,
+      height: frameHeight,
+      quality: 'high',
+      provider: options.provider,
+      cache: options.cache,
+      reference: options.reference,
+      tracker: options.tracker,
+      progress: options.progress,
+      label: `${key}_${frameIndex}`,
+      frameCount: 1,
+      fixture: { name: spec.name, animation: `${key}_${frameIndex}` },
+    });
+
+    // Frames are quantized together once assembled, so they share one palette; the alpha
+    // cleanup runs per frame so stray specks do not throw off the shared baseline
+    const { imageBuffer, alphaCleanup } = await normalizeStrip(generated, frameWidth, frameHeight, 1, { thresholds, cleanup });
+    frameBuffers.push(imageBuffer);
+    cleanups.push(alphaCleanup);
+  }
+
+  const { buffer, baseline } = await assembleStrip(frameBuffers, frameWidth, frameHeight);
+  const validation = await validateSpriteStrip(buffer, frameWidth, frameHeight, frameCount, thresholds);
+  const quantized = await quantizeStrip(buffer, validation, frameWidth, frameHeight, frameCount, { thresholds, quantize });
+  const locked = await lockStrip(quantized.imageBuffer, quantized.validation, frameWidth, frameHeight, frameCount, {
+    thresholds,
+    lock: options.paletteLock,
+  });
+  const metrics = await measureStrip(locked.imageBuffer, frameWidth, frameHeight, frameCount, { maxColors });
+
+  return {
+    attempt: null,
+    index: null,
+    imageBuffer: locked.imageBuffer,
+    validation: locked.validation,
+    metrics,
+    pixelGrid: null,
+    alphaCleanup: cleanup ? sumAlphaCleanups(cleanups) : null,
+    quantization: quantized.quantization,
+    paletteLock: locked.paletteLock,
+    score: scoreCandidate(locked.validation, metrics),
+    baseline,
+  };
+}
+
+/**
+ * Scales a generated strip to its exact dimensions and validates it,
+ * fixing background transparency locally when that scores better
+ * Logical pixels are recovered from the model's pixel grid where one is found.
+ * Grids are scaled to the grid's dimensions and rearranged into a strip first
+ * @param {Buffer} imageBuffer - Generated image
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Normalization options
+ * @param {Object|null} options.grid - Grid layout the image was requested in, if any
+ * @param {Object} options.thresholds - Validation thresholds of the spec's style
+ * @param {Object|null} options.cleanup - Alpha cleanup settings (see getAlphaCleanup), or null to keep soft edges
+ * @param {Object|null} options.quantize - Quantization settings (see getColorSettings); strips over the
+ *   color limit, or every strip when a palette is supplied, are quantized
+ * @param {Object|null} options.lock - Project palette lock ({ colors, maxError }) the strip is remapped to
+ * @returns {Promise<Object>} Normalized strip ({ imageBuffer, validation, pixelGrid, alphaCleanup, quantization,
+ *   paletteLock }): its validation, the pixel grid recovered from the generated image, the pixels changed by
+ *   the alpha cleanup, the quantization applied and the palette lock error
+ */
+async function normalizeStrip(imageBuffer, frameWidth, frameHeight, frameCount, options = {}) {
+  const { grid = null, thresholds = {}, cleanup = null, quantize = null, lock = null } = options;
+  const targetWidth = grid ? grid.width : frameWidth * frameCount;
+  const targetHeight = grid ? grid.height : frameHeight;
+
+  // Scale to exact dimensions if needed
+  let pixelGrid = null;
+  const metadata = await sharp(imageBuffer).metadata();
+  if (metadata.width !== targetWidth || metadata.height !== targetHeight) {
+    ({ buffer: imageBuffer, grid: pixelGrid } = await recoverPixelArt(imageBuffer, targetWidth, targetHeight));
+  }
+
+  // Cells are read row by row, so frame order matches strip mode
+  if (grid) {
+    const cells = await sliceGrid(imageBuffer, frameWidth, frameHeight, grid.columns, grid.rows);
+    imageBuffer = await joinFrames(cells.slice(0, frameCount).map(cell => cell.buffer), frameWidth, frameHeight);
+  }
+
+  let validation = await validateSpriteStrip(imageBuffer, frameWidth, frameHeight, frameCount, thresholds);
+
+  // Attempt to fix transparency issues locally before spending another generation
+  if (validation.issues.includes(ISSUE_CODES.TRANSPARENCY)) {
+    const fixedBuffer = await removeBackground(imageBuffer, {
+      backgroundColor: { r: 255, g: 255, b: 255 },
+      tolerance: 30,
+    });
+    const fixedValidation = await validateSpriteStrip(fixedBuffer, frameWidth, frameHeight, frameCount, thresholds);
+
+    if (scoreValidation(fixedValidation) >= scoreValidation(validation)) {
+      imageBuffer = fixedBuffer;
+      validation = fixedValidation;
+    }
+  }
+
+  // Soft edges are cleaned before quantizing so fringe colors do not take palette slots
+  const cleaned = await cleanStrip(imageBuffer, validation, frameWidth, frameHeight, frameCount, { thresholds, cleanup });
+  const quantized = await quantizeStrip(cleaned.imageBuffer, cleaned.validation, frameWidth, frameHeight, frameCount, {
+    thresholds,
+    quantize,
+  });
+  const locked = await lockStrip(quantized.imageBuffer, quantized.validation, frameWidth, frameHeight, frameCount, {
+    thresholds,
+    lock,
+  });
+
+  return { ...locked, pixelGrid, alphaCleanup: cleaned.alphaCleanup, quantization: quantized.quantization };
+}
+
+/**
+ * Runs the alpha cleanup on a strip and validates the result
+ * @param {Buffer} imageBuffer - Strip
+ * @param {Object} validation - Its validation result
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Cleanup options
+ * @param {Object} options.thresholds - Validation thresholds
+ * @param {Object|null} options.cleanup - Alpha cleanup settings, or null to leave the strip as it is
+ * @returns {Promise<{imageBuffer: Buffer, validation: Object, alphaCleanup: Object|null}>} Strip, its
+ *   validation and the pixels binarized, removed as specks and recolored at the edges
+ */
+async function cleanStrip(imageBuffer, validation, frameWidth, frameHeight, frameCount, options) {
+  const { thresholds, cleanup } = options;
+  if (!cleanup) {
+    return { imageBuffer, validation, alphaCleanup: null };
+  }
+
+  const { buffer, ...alphaCleanup } = await cleanupAlpha(imageBuffer, cleanup);
+  return {
+    imageBuffer: buffer,
+    validation: await validateSpriteStrip(buffer, frameWidth, frameHeight, frameCount, thresholds),
+    alphaCleanup,
+  };
+}
+
+/**
+ * Quantizes a validated strip when it uses more colors than allowed, or always
+ * when a palette is supplied, and validates the result
+ * @param {Buffer} imageBuffer - Strip
+ * @param {Object} validation - Its validation result
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Quantization options
+ * @param {Object} options.thresholds - Validation thresholds
+ * @param {Object|null} options.quantize - Quantization settings, or null to leave the strip as it is
+ * @returns {Promise<{imageBuffer: Buffer, validation: Object, quantization: Object|null}>} Strip, its
+ *   validation and the colors before and after quantization
+ */
+async function quantizeStrip(imageBuffer, validation, frameWidth, frameHeight, frameCount, options) {
+  const { thresholds, quantize } = options;
+  if (!quantize || (!quantize.palette && !validation.issues.includes(ISSUE_CODES.COLORS))) {
+    return { imageBuffer, validation, quantization: null };
+  }
+
+  const result = await quantizeImage(imageBuffer, quantize);
+  return {
+    imageBuffer: result.buffer,
+    validation: await validateSpriteStrip(result.buffer, frameWidth, frameHeight, frameCount, thresholds),
+    quantization: {
+      method: quantize.palette ? 'palette' : 'median-cut',
+      before: result.before,
+      after: result.after,
+    },
+  };
+}
+
+/**
+ * Remaps a strip to the project palette and validates the result; a strip whose
+ * colors were further from the palette than allowed fails validation
+ * @param {Buffer} imageBuffer - Strip
+ * @param {Object} validation - Its validation result
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Lock options
+ * @param {Object} options.thresholds - Validation thresholds
+ * @param {Object|null} options.lock - Palette lock ({ colors, maxError }), or null to leave the strip as it is
+ * @returns {Promise<{imageBuffer: Buffer, validation: Object, paletteLock: Object|null}>} Strip, its
+ *   validation and the mean and largest color error (delta E) of the remap
+ */
+async function lockStrip(imageBuffer, validation, frameWidth, frameHeight, frameCount, options) {
+  const { thresholds, lock } = options;
+  if (!lock) {
+    return { imageBuffer, validation, paletteLock: null };
+  }
+
+  const result = await remapToPalette(imageBuffer, lock.colors);
+  const lockedValidation = await validateSpriteStrip(result.buffer, frameWidth, frameHeight, frameCount, thresholds);
+  const paletteLock = {
+    meanError: Math.round(result.meanError * 10) / 10,
+    maxError: Math.round(result.maxError * 10) / 10,
+  };
+
+  if (paletteLock.meanError > lock.maxError) {
+    lockedValidation.errors.push(
+      `Colors are ${paletteLock.meanError} delta E from the project palette on average (max ${lock.maxError})`
+    );
+    lockedValidation.issues.push(ISSUE_CODES.PALETTE);
+    lockedValidation.isValid = false;
+  }
+
+  return { imageBuffer: result.buffer, validation: lockedValidation, paletteLock };
+}
+
+/**
+ * Projects the image calls and cost of a run without generating anything
+ * Requests already in the cache are free; reference-conditioned requests and
+ * not-yet-refined prompts depend on output that does not exist yet, so they count as uncached.
+ * The worst case assumes every animation uses all attempts and the per-frame fallback
+ * @param {Object} spec - Sprite specification
+ * @param {Object|null} referenceSettings - Reference-image settings
+ * @param {Object} options - Projection options
+ * @param {Object} options.provider - Image provider
+ * @param {boolean} options.cache - Whether the cache will be used
+ * @param {boolean} options.refine - Whether prompts will be refined (uncached refinements
+ *   cost a text call and make the image request uncached)
+ * @param {string|null} options.layout - Layout override
+ * @param {number} options.maxAttempts - Validation attempts per animation
+ * @returns {Promise<Object>} Projection
+ */
+async function projectCost(spec, referenceSettings, options) {
+  const { provider, cache, refine, maxAttempts, layout: layoutOverride } = options;
+  const useCache = cache && config.cache.enabled;
+  const requests = [];
+  let textCalls = 0;
+
+  if (referenceSettings?.mode === 'model-sheet') {
+    requests.push({ prompt: buildModelSheetPrompt(spec), width: spec.frameWidth, height: spec.frameHeight, conditioned: false });
+  }
+
+  // Mirrored directions are flipped locally and cost nothing
+  const tasks = planAnimationTasks(spec).filter(task => !task.mirrorOf);
+  const referenceTask = referenceSettings?.mode === 'animation'
+    ? tasks.find(task => task.animName === referenceSettings.animation)
+    : null;
+
+  for (const task of tasks) {
+    const { animName, direction } = task;
+    const animConfig = spec.animations[animName];
+    const conditioned = Boolean(referenceSettings) && task !== referenceTask;
+
+    const layout = getLayout(spec, animConfig, layoutOverride);
+    const parts = planStripParts(animConfig.frames, layout === 'grid' ? { maxFrames: animConfig.frames } : {});
+
+    for (const part of parts) {
+      const partConfig = { ...animConfig, frames: part.frames };
+      const grid = layout === 'grid' ? planGrid(part.frames, spec.frameWidth, spec.frameHeight) : null;
+      // Later parts are conditioned on the previous part's strip, which is only known at run time
+      const continued = part.index > 0;
+      let prompt = buildSpriteStripPrompt(spec, animName, partConfig, {
+        hasReference: conditioned || continued,
+        previousPart: continued,
+        part: part.count > 1 ? part : null,
+        grid,
+        direction,
+      });
+      let unknownPrompt = false;
+
+      if (refine) {
+        const refined = useCache ? await getCachedRefinement(spec, getPartLabel(task.key, part), prompt) : null;
+        if (refined) {
+          prompt = refined;
+        } else {
+          textCalls++;
+          unknownPrompt = true;
+        }
+      }
+
+      requests.push({
+        prompt,
+        width: grid ? grid.width : spec.frameWidth * part.frames,
+        height: grid ? grid.height : spec.frameHeight,
+        candidates: animConfig.candidates ?? spec.candidates ?? 1,
+        fallbackFrames: config.generation.frameFallbackAfter > 0 ? part.frames : 0,
+        conditioned: conditioned || continued || unknownPrompt,
+        regenerable: true,
+      });
+    }
+  }
+
+  let imageCalls = 0;
+  let cachedCalls = 0;
+  const textPrice = provider.billable ? (config.pricing.textCall ?? 0) * textCalls : 0;
+  let estimatedCost = textPrice;
+  let maxEstimatedCost = textPrice;
+
+  for (const request of requests) {
+    const imageOptions = { width: request.width, height: request.height, quality: 'high', provider: provider.name };
+    const candidates = request.candidates ?? 1;
+    const price = provider.billable ? estimateImageCost(imageOptions).cost * candidates : 0;
+    const attempts = request.regenerable ? maxAttempts : 1;
+
+    // Worst case also includes the per-frame fallback
+    if (request.fallbackFrames && provider.billable) {
+      const frameOptions = { width: spec.frameWidth, height: spec.frameHeight, quality: 'high' };
+      maxEstimatedCost += estimateImageCost(frameOptions).cost * request.fallbackFrames;
+    }
+
+    if (useCache && !request.conditioned && await hasCachedCandidates(request.prompt, imageOptions, candidates)) {
+      cachedCalls++;
+      maxEstimatedCost += price * (attempts - 1);
+      continue;
+    }
+
+    imageCalls++;
+    estimatedCost += price;
+    maxEstimatedCost += price * attempts;
+  }
+
+  return {
+    imageCalls,
+    cachedCalls,
+    textCalls,
+    maxAttempts,
+    estimatedCost: Math.round(estimatedCost * 10000) / 10000,
+    maxEstimatedCost: Math.round(maxEstimatedCost * 10000) / 10000,
+    currency: config.pricing.currency,
+  };
+}
+
+/**
+ * Adds two cost projections together
+ * @param {Object} a - Projection (see projectCost)
+ * @param {Object} b - Projection (see projectCost)
+ * @returns {Object} Combined projection
+ */
+function addProjections(a, b) {
+  return {
+    ...a,
+    imageCalls: a.imageCalls + b.imageCalls,
+    cachedCalls: a.cachedCalls + b.cachedCalls,
+    textCalls: a.textCalls + b.textCalls,
+    estimatedCost: Math.round((a.estimatedCost + b.estimatedCost) * 10000) / 10000,
+    maxEstimatedCost: Math.round((a.maxEstimatedCost + b.maxEstimatedCost) * 10000) / 10000,
+  };
+}
+
+/**
+ * Checks whether every candidate of a request is in the cache
+ * @param {string} prompt - Image generation prompt
+ * @param {Object} imageOptions - Generation options
+ * @param {number} candidates - Number of candidates
+ * @returns {Promise<boolean>} True when all are cached
+ */
+async function hasCachedCandidates(prompt, imageOptions, candidates) {
+  for (let candidate = 0; candidate < candidates; candidate++) {
+    if (!(await hasCachedImage(prompt, { ...imageOptions, candidate }))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Resolves the frame layout for an animation
+ * @param {Object} spec - Sprite specification
+ * @param {Object} animConfig - Animation configuration
+ * @param {string|null} override - Value of --layout, if given
+ * @returns {string} 'strip' or 'grid'
+ */
+function getLayout(spec, animConfig, override = null) {
+  return override || animConfig.layout || spec.layout || 'strip';
+}
+
+/**
+ * Resolves how an animation's strips are cut into frames
+ * @param {Object} spec - Sprite specification
+ * @param {Object} animConfig - Animation configuration
+ * @param {string|null} override - Value of --segmentation, if given
+ * @returns {string} 'fixed' or 'content'
+ */
+function getSegmentation(spec, animConfig, override = null) {
+  return override || animConfig.segmentation || spec.segmentation || config.processing.segmentation;
+}
+
+/**
+ * Resolves a spec's color limit and how strips over it are quantized
+ * @param {Object} spec - Sprite specification (uses spec.quantize; default: config.processing.quantize)
+ * @param {Object} style - Resolved style preset
+ * @returns {{maxColors: number, quantize: {colors: number, palette: string[]|null}|null}} Colors allowed
+ *   per strip, and quantization settings (null when quantization is off)
+ */
+function getColorSettings(spec, style) {
+  const setting = spec.quantize ?? config.processing.quantize;
+  const options = typeof setting === 'object' ? setting : {};
+  const palette = options.palette ?? style.palette ?? null;
+  const maxColors = palette ? palette.length : options.colors ?? style.validation.maxColors;
+
+  return {
+    maxColors,
+    quantize: setting === false ? null : { colors: maxColors, palette },
+  };
+}
+
+/**
+ * Resolves a spec's alpha cleanup settings
+ * @param {Object} spec - Sprite specification (uses spec.alphaCleanup; default: config.processing.alphaCleanup)
+ * @returns {{cutoff: number, maxSpeckle: number}|null} Cleanup settings, or null when the cleanup is off
+ */
+function getAlphaCleanup(spec) {
+  const setting = spec.alphaCleanup ?? config.processing.alphaCleanup;
+  if (setting === false) return null;
+
+  const options = typeof setting === 'object' ? setting : {};
+  return {
+    cutoff: options.cutoff ?? config.processing.alphaCutoff,
+    maxSpeckle: options.maxSpeckle ?? config.processing.maxSpeckle,
+  };
+}
+
+/**
+ * Adds up the alpha cleanups of individually generated frames
+ * @param {Object[]} cleanups - Per-frame cleanups ({ binarized, speckles, edges })
+ * @returns {Object} Pixels changed across all frames
+ */
+function sumAlphaCleanups(cleanups) {
+  return cleanups.reduce((sum, cleanup) => ({
+    binarized: sum.binarized + cleanup.binarized,
+    speckles: sum.speckles + cleanup.speckles,
+    edges: sum.edges + cleanup.edges,
+  }), { binarized: 0, speckles: 0, edges: 0 });
+}
+
+/**
+ * Describes the palette lock for report.json
+ * @param {Object|null} lock - Palette lock ({ file, colors, maxError })
+ * @returns {Object|null} File, color count and error threshold
+ */
+function describePaletteLock(lock) {
+  return lock ? { file: lock.file, colors: lock.colors.length, maxError: lock.maxError } : null;
+}
+
+/**
+ * Describes reference settings for the run summary
+ * @param {Object|null} settings - Reference settings
+ * @returns {string} Human-readable description
+ */
+function describeReference(settings) {
+  if (!settings) return 'none';
+  if (settings.mode === 'animation') return `${settings.animation} strip`;
+  if (settings.mode === 'image') return settings.path;
+  return 'model sheet';
+}
+
 /**
  * Validates a sprite specification file without generating
  * @param {string} specPath - Path to spec file
  * @returns {Promise<Object>} Validation result
  */
 export async function validateSpecFile(specPath) {
-  const spec = await readJson(specPath);
+  const spec = await loadSpec(specPath);
   return validateSpec(spec);
 }
 
@@ -0,0 +1,184 @@
+/**
+ * Alpha cleanup
+ * Generated art has soft, semi-transparent edges and stray specks that show as
+ * halos on dark game backgrounds. Snaps alpha to fully transparent or fully
+ * opaque, removes specks detached from the figures and replaces edge colors
+ * blended with the old background
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+/**
+ * Cleanup result
+ * @typedef {Object} AlphaCleanup
+ * @property {Buffer} buffer - Cleaned PNG
+ * @property {number} binarized - Semi-transparent pixels snapped to 0 or 255
+ * @property {number} speckles - Opaque pixels removed as specks
+ * @property {number} edges - Edge pixels whose blended color was replaced
+ */
+
+/**
+ * Cleans the alpha channel of an image
+ * 1. Pixels with alpha at or above the cutoff become opaque, the rest transparent
+ *    (with their color cleared)
+ * 2. Groups of opaque pixels no larger than maxSpeckle, touching nothing else
+ *    (8-connected), are removed
+ * 3. Pixels that were semi-transparent and are now opaque take the most common
+ *    color of their originally opaque neighbors, since their own color was blended
+ *    with the background
+ * @param {Buffer} imageBuffer - PNG buffer
+ * @param {Object} options - Cleanup options
+ * @param {number} options.cutoff - Alpha (0-255) from which a pixel is kept (default: config)
+ * @param {number} options.maxSpeckle - Largest group of pixels removed as a speck; 0 keeps all (default: config)
+ * @returns {Promise<AlphaCleanup>} Cleaned image and what was changed
+ */
+export async function cleanupAlpha(imageBuffer, options = {}) {
+  const {
+    cutoff = config.processing.alphaCutoff,
+    maxSpeckle = config.processing.maxSpeckle,
+  } = options;
+
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const original = Buffer.from(data);
+
+  // 1. Binarize
+  let binarized = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha === 0 || alpha === 255) continue;
+
+    binarized++;
+    if (alpha >= cutoff) {
+      data[i + 3] = 255;
+    } else {
+      data.fill(0, i, i + 4);
+    }
+  }
+
+  // 2. Remove specks
+  const speckles = maxSpeckle > 0 ? removeSpeckles(data, width, height, maxSpeckle) : 0;
+
+  // 3. Replace blended edge colors
+  let edges = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] !== 255 || original[i + 3] === 255) continue;
+
+      const color = dominantSolidNeighbor(original, width, height, x, y);
+      if (color) {
+        [data[i], data[i + 1], data[i + 2]] = color;
+        edges++;
+      }
+    }
+  }
+
+  const buffer = await sharp(data, {
+    raw: {
+      width,
+      height,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return { buffer, binarized, speckles, edges };
+}
+
+/**
+ * Clears small groups of opaque pixels
+ * @param {Buffer} data - Raw RGBA pixels with binary alpha (modified in place)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} maxSpeckle - Largest group size removed
+ * @returns {number} Pixels removed
+ */
+function removeSpeckles(data, width, height, maxSpeckle) {
+  const visited = new Uint8Array(width * height);
+  let removed = 0;
+
+  for (let start = 0; start < width * height; start++) {
+    if (visited[start] || data[start * 4 + 3] === 0) continue;
+
+    // Flood-fill the group; stop collecting once it is too large to be a speck
+    const group = [];
+    const stack = [start];
+    visited[start] = 1;
+    let size = 0;
+
+    while (stack.length > 0) {
+      const pixel = stack.pop();
+      size++;
+      if (group.length <= maxSpeckle) group.push(pixel);
+
+      const px = pixel % width;
+      const py = Math.floor(pixel / width);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = px + dx;
+          const ny = py + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+          const neighbor = ny * width + nx;
+          if (!visited[neighbor] && data[neighbor * 4 + 3] !== 0) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    if (size <= maxSpeckle) {
+      group.forEach(pixel => data.fill(0, pixel * 4, pixel * 4 + 4));
+      removed += size;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Finds the most common color among a pixel's fully opaque neighbors
+ * @param {Buffer} data - Raw RGBA pixels before cleanup
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @returns {number[]|null} [r, g, b], or null when no neighbor was fully opaque
+ */
+function dominantSolidNeighbor(data, width, height, x, y) {
+  const counts = new Map();
+  let best = null;
+  let bestCount = 0;
+
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if ((dx === 0 && dy === 0) || nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+      const i = (ny * width + nx) * 4;
+      if (data[i + 3] !== 255) continue;
+
+      const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      const count = (counts.get(color) || 0) + 1;
+      counts.set(color, count);
+      if (count > bestCount) {
+        best = [data[i], data[i + 1], data[i + 2]];
+        bestCount = count;
+      }
+    }
+  }
+
+  return best;
+}
+
+export default {
+  cleanupAlpha,
+};
@@ -0,0 +1,108 @@
+/**
+ * Synthetic strip assembler
+ * Joins individually generated frames, or frames from several sub-strips,
+ * into one horizontal strip
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Assembles frames into a horizontal strip
+ * Each frame is moved down so its lowest opaque row sits on the lowest
+ * baseline of any frame; frames never move up, so nothing is cropped
+ * @param {Buffer[]} frameBuffers - Frame PNGs, each frameWidth x frameHeight
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @returns {Promise<{buffer: Buffer, baseline: number}>} Strip PNG and the shared baseline row
+ */
+export async function assembleStrip(frameBuffers, frameWidth, frameHeight) {
+  const frames = [];
+
+  for (const frameBuffer of frameBuffers) {
+    const { data } = await sharp(frameBuffer)
+      .ensureAlpha()
+      .resize(frameWidth, frameHeight, { kernel: sharp.kernel.nearest, fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    frames.push({ data, bottom: findBottomRow(data, frameWidth, frameHeight) });
+  }
+
+  const baseline = Math.max(...frames.map(f => f.bottom ?? 0));
+  const stripWidth = frameWidth * frames.length;
+  const strip = Buffer.alloc(stripWidth * frameHeight * 4);
+
+  frames.forEach((frame, index) => {
+    const shift = frame.bottom === null ? 0 : baseline - frame.bottom;
+    if (shift > 0) {
+      logger.debug(`Frame ${index}: moved down ${shift}px to baseline ${baseline}`);
+    }
+
+    for (let y = 0; y + shift < frameHeight; y++) {
+      const source = y * frameWidth * 4;
+      const target = ((y + shift) * stripWidth + index * frameWidth) * 4;
+      frame.data.copy(strip, target, source, source + frameWidth * 4);
+    }
+  });
+
+  const buffer = await sharp(strip, {
+    raw: {
+      width: stripWidth,
+      height: frameHeight,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return { buffer, baseline };
+}
+
+/**
+ * Joins frames side by side into a strip without moving them
+ * @param {Buffer[]} frameBuffers - Frame PNGs, each frameWidth x frameHeight
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @returns {Promise<Buffer>} Strip PNG
+ */
+export async function joinFrames(frameBuffers, frameWidth, frameHeight) {
+  return sharp({
+    create: {
+      width: frameWidth * frameBuffers.length,
+      height: frameHeight,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(frameBuffers.map((input, index) => ({ input, left: index * frameWidth, top: 0 })))
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Finds the lowest row containing an opaque pixel
+ * @param {Buffer} data - Raw RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number|null} Row index, or null for an empty frame
+ */
+function findBottomRow(data, width, height) {
+  const { alphaThreshold } = config.validation;
+
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > alphaThreshold) {
+        return y;
+      }
+    }
+  }
+
+  return null;
+}
+
+export default {
+  assembleStrip,
+  joinFrames,
+};
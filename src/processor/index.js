@@ -14,3 +14,39 @@ export {
   packFrames,
   packGrid
 } from './packer.js';
+
+export {
+  assembleStrip,
+  joinFrames
+} from './assembler.js';
+
+export {
+  detectPixelGrid,
+  recoverPixelArt
+} from './pixel-grid.js';
+
+export {
+  segmentStrip,
+  SEGMENTATION_MODES
+} from './segmenter.js';
+
+export {
+  parseHexColor,
+  remapPalette
+} from './recolor.js';
+
+export {
+  quantizeImage,
+  extractPalette
+} from './quantize.js';
+
+export {
+  PALETTE_FORMATS,
+  loadPalette,
+  formatPalette,
+  remapToPalette
+} from './palette.js';
+
+export {
+  cleanupAlpha
+} from './alpha-cleanup.js';
@@ -15,6 +15,9 @@ import logger from '../utils/logger.js';
  * @property {number} height - Frame height
  * @property {string} animation - Animation name
  * @property {number} frameIndex - Index within animation
+ * @property {number} fps - Playback speed of the animation
+ * @property {number|null} duration - Milliseconds this frame is shown, when it differs from the fps
+ * @property {import('../generator/playback.js').Playback} playback - Playback settings of the animation
  */
 
 /**
@@ -202,16 +205,21 @@ function generateAnimationsJson(frames) {
     if (!animName) continue;
 
     if (!animations[animName]) {
+      const { loop = true, repeat = -1, yoyo = false, repeatDelay = 0 } = frame.playback || {};
       animations[animName] = {
         fps: frame.fps || 10,
         frames: [],
-        loop: true,
+        loop,
+        repeat,
+        yoyo,
+        repeatDelay,
       };
     }
 
     animations[animName].frames.push({
       key: frame.name || `${frame.animation}_${frame.frameIndex}`,
       frame: frame.frameIndex,
+      ...(frame.duration ? { duration: frame.duration } : {}),
     });
   }
 
@@ -223,6 +231,40 @@ function generateAnimationsJson(frames) {
   return animations;
 }
 
+/**
+ * Converts animation definitions to Phaser's animation JSON, as loaded by
+ * this.load.animation() or anims.fromJSON()
+ * @param {Object} animations - Animation definitions (see generateAnimationsJson)
+ * @param {Object} options - Conversion options
+ * @param {string} options.textureKey - Key the atlas is loaded under
+ * @param {string} options.prefix - Prepended to every animation key (default: none)
+ * @returns {{anims: Object[]}} Phaser animation JSON
+ */
+export function toPhaserAnims(animations, options) {
+  const { textureKey, prefix = '' } = options;
+
+  const anims = Object.entries(animations).map(([name, anim]) => {
+    const frameMs = 1000 / anim.fps;
+
+    return {
+      key: `${prefix}${name}`,
+      type: 'frame',
+      frames: anim.frames.map(frame => ({
+        key: textureKey,
+        frame: frame.key,
+        // Phaser adds a frame's duration to the time the frame rate gives it
+        duration: frame.duration ? Math.max(0, Math.round(frame.duration - frameMs)) : 0,
+      })),
+      frameRate: anim.fps,
+      repeat: anim.repeat ?? (anim.loop ? -1 : 0),
+      yoyo: anim.yoyo ?? false,
+      repeatDelay: anim.repeatDelay ?? 0,
+    };
+  });
+
+  return { anims };
+}
+
 /**
  * Calculates next power of two
  * @param {number} n - Input number
@@ -294,4 +336,5 @@ export async function packGrid(frames, frameWidth, frameHeight, columns) {
 export default {
   packFrames,
   packGrid,
+  toPhaserAnims,
 };
@@ -0,0 +1,239 @@
+/**
+ * Project palette lock
+ * Reads and writes palette files (GIMP .gpl, .hex, JSON) and remaps images to
+ * the nearest palette color in CIE Lab space, so characters generated on
+ * different days share the same skin tones and outline colors
+ */
+
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import { extname, basename } from 'path';
+import { config } from '../config.js';
+import { parseHexColor } from './recolor.js';
+
+/**
+ * Palette file formats, by file extension
+ */
+export const PALETTE_FORMATS = ['gpl', 'hex', 'json'];
+
+/**
+ * A color line of a .hex palette, with or without the leading '#'
+ */
+const HEX_LINE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Palette remap result
+ * @typedef {Object} PaletteRemap
+ * @property {Buffer} buffer - Remapped PNG
+ * @property {number} meanError - Mean color difference (CIE76 delta E) over opaque pixels
+ * @property {number} maxError - Largest color difference of any opaque pixel
+ * @property {number} pixels - Opaque pixels remapped
+ */
+
+/**
+ * Loads a palette file
+ * .gpl is a GIMP palette, .hex has one rrggbb (or #rrggbb) color per line, and .json holds an
+ * array of '#rrggbb' strings (or { "colors": [...] })
+ * @param {string} filePath - Palette file
+ * @returns {Promise<string[]>} Colors as '#rrggbb', in file order, without duplicates
+ */
+export async function loadPalette(filePath) {
+  const format = getPaletteFormat(filePath);
+  const text = await fs.readFile(filePath, 'utf-8');
+  let colors;
+
+  if (format === 'json') {
+    const json = JSON.parse(text);
+    colors = Array.isArray(json) ? json : json.colors;
+    if (!Array.isArray(colors)) {
+      throw new Error(`${basename(filePath)}: expected an array of colors or { "colors": [...] }`);
+    }
+  } else {
+    // GIMP palettes comment with '#'; .hex lines may be written as #rrggbb, so
+    // there only lines that are not a color are comments
+    colors = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith(';'))
+      .filter(line => (format === 'hex' ? !line.startsWith('#') || HEX_LINE.test(line) : /^\d/.test(line)))
+      .map(line => (format === 'hex' ? line : gplLineToHex(line)));
+  }
+
+  const palette = [...new Set(colors.map(color => toHex(parseHexColor(String(color)))))];
+  if (palette.length === 0) {
+    throw new Error(`${basename(filePath)}: palette has no colors`);
+  }
+
+  return palette;
+}
+
+/**
+ * Formats colors as a palette file
+ * @param {string[]} colors - Colors as '#rrggbb'
+ * @param {string} format - 'gpl', 'hex' or 'json'
+ * @param {string} name - Palette name (GIMP palettes)
+ * @returns {string} File contents
+ */
+export function formatPalette(colors, format, name = 'spraite') {
+  switch (format) {
+    case 'gpl':
+      return [
+        'GIMP Palette',
+        `Name: ${name}`,
+        '#',
+        ...colors.map(hex => {
+          const { r, g, b } = parseHexColor(hex);
+          return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`;
+        }),
+      ].join('\n') + '\n';
+    case 'hex':
+      return colors.map(hex => hex.slice(1)).join('\n') + '\n';
+    case 'json':
+      return JSON.stringify(colors, null, 2) + '\n';
+    default:
+      throw new Error(`Unknown palette format '${format}' (expected one of: ${PALETTE_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Detects a palette file's format from its extension
+ * @param {string} filePath - Palette file
+ * @returns {string} 'gpl', 'hex' or 'json'
+ */
+export function getPaletteFormat(filePath) {
+  const format = extname(filePath).slice(1).toLowerCase();
+  if (!PALETTE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported palette file '${basename(filePath)}' (expected .${PALETTE_FORMATS.join(', .')})`);
+  }
+  return format;
+}
+
+/**
+ * Remaps every opaque pixel of an image to the perceptually nearest palette color
+ * Alpha is left unchanged
+ * @param {Buffer} imageBuffer - PNG buffer
+ * @param {string[]} palette - Colors as '#rrggbb'
+ * @returns {Promise<PaletteRemap>} Remapped image and the color error it introduced
+ */
+export async function remapToPalette(imageBuffer, palette) {
+  const { alphaThreshold } = config.validation;
+  const targets = palette.map(hex => {
+    const { r, g, b } = parseHexColor(hex);
+    return { rgb: [r, g, b], lab: rgbToLab(r, g, b) };
+  });
+
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Sprites use few colors, so each distinct color is matched once
+  const matches = new Map();
+  let totalError = 0;
+  let maxError = 0;
+  let pixels = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] <= alphaThreshold) continue;
+
+    const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    if (!matches.has(color)) {
+      matches.set(color, nearestLab(rgbToLab(data[i], data[i + 1], data[i + 2]), targets));
+    }
+
+    const { target, error } = matches.get(color);
+    [data[i], data[i + 1], data[i + 2]] = target.rgb;
+    totalError += error;
+    maxError = Math.max(maxError, error);
+    pixels++;
+  }
+
+  const buffer = await sharp(data, {
+    raw: {
+      width: info.width,
+      height: info.height,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return {
+    buffer,
+    meanError: pixels > 0 ? totalError / pixels : 0,
+    maxError,
+    pixels,
+  };
+}
+
+/**
+ * Converts an sRGB color to CIE Lab (D65 white point)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number[]} [L, a, b]
+ */
+export function rgbToLab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const [fx, fy, fz] = [x, y, z].map(t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116));
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Finds the palette color nearest to a Lab color
+ * @param {number[]} lab - Lab color
+ * @param {Object[]} targets - Palette colors ({ rgb, lab })
+ * @returns {{target: Object, error: number}} Nearest color and its distance (delta E)
+ */
+function nearestLab(lab, targets) {
+  let best = targets[0];
+  let bestDistance = Infinity;
+
+  for (const target of targets) {
+    const distance = Math.hypot(lab[0] - target.lab[0], lab[1] - target.lab[1], lab[2] - target.lab[2]);
+    if (distance < bestDistance) {
+      best = target;
+      bestDistance = distance;
+    }
+  }
+
+  return { target: best, error: bestDistance };
+}
+
+/**
+ * Reads the color of a GIMP palette line ('R G B name')
+ * @param {string} line - Palette line
+ * @returns {string} '#rrggbb'
+ */
+function gplLineToHex(line) {
+  const [r, g, b] = line.split(/\s+/).map(Number);
+  if (![r, g, b].every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+    throw new Error(`Invalid GIMP palette line '${line}'`);
+  }
+  return toHex({ r, g, b });
+}
+
+/**
+ * Formats color channels as '#rrggbb'
+ * @param {{r: number, g: number, b: number}} color - Color channels
+ * @returns {string} Hex color
+ */
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+export default {
+  PALETTE_FORMATS,
+  loadPalette,
+  formatPalette,
+  getPaletteFormat,
+  remapToPalette,
+  rgbToLab,
+};
@@ -0,0 +1,37 @@
+/**
+ * Palette file tests
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadPalette, formatPalette } from './palette.js';
+
+let workDir;
+
+before(async () => {
+  workDir = await mkdtemp(join(tmpdir(), 'spraite-palette-'));
+});
+
+after(async () => {
+  await rm(workDir, { recursive: true, force: true });
+});
+
+test('.hex palettes load with or without a leading #', async () => {
+  const path = join(workDir, 'mixed.hex');
+  await writeFile(path, '#1a1c2c\n5d275d\n# not a color\n;comment\n#B13E53\n');
+
+  assert.deepEqual(await loadPalette(path), ['#1a1c2c', '#5d275d', '#b13e53']);
+});
+
+test('palettes survive a write and load in every format', async () => {
+  const colors = ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'];
+
+  for (const format of ['gpl', 'hex', 'json']) {
+    const path = join(workDir, `roundtrip.${format}`);
+    await writeFile(path, formatPalette(colors, format));
+    assert.deepEqual(await loadPalette(path), colors);
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * Pipeline tests
+ * Runs generate → validate → slice → pack offline, against the local provider
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+import { localProvider } from '../generator/providers/local-provider.js';
+import { validateSpriteStrip } from '../validator/png-validator.js';
+import { sliceStrip } from './slicer.js';
+import { packFrames } from './packer.js';
+import { generateSprites } from '../index.js';
+
+const FRAME_SIZE = 32;
+
+let workDir;
+
+before(async () => {
+  logger.setLevel('error');
+  workDir = await mkdtemp(join(tmpdir(), 'spraite-test-'));
+});
+
+after(async () => {
+  await rm(workDir, { recursive: true, force: true });
+});
+
+test('local provider strips pass validation, slice into frames and pack into an atlas', async () => {
+  const frameCount = 4;
+  const strip = await localProvider.generateImage('test knight walk', {
+    width: FRAME_SIZE * frameCount,
+    height: FRAME_SIZE,
+    frameCount,
+  });
+
+  const validation = await validateSpriteStrip(strip, FRAME_SIZE, FRAME_SIZE, frameCount);
+  assert.equal(validation.isValid, true, validation.errors.join('; '));
+  assert.equal(validation.metadata.detectedFrames, frameCount);
+
+  const frames = await sliceStrip(strip, FRAME_SIZE, FRAME_SIZE, frameCount);
+  assert.equal(frames.length, frameCount);
+
+  const { image, atlas, animations } = await packFrames(frames.map((frame, index) => ({
+    ...frame,
+    name: `walk_${index}`,
+    animation: 'walk',
+    frameIndex: index,
+    fps: 8,
+  })));
+
+  const sheet = await sharp(image).metadata();
+  assert.equal(sheet.format, 'png');
+  assert.equal(Object.keys(atlas.frames).length, frameCount);
+  for (const entry of Object.values(atlas.frames)) {
+    assert.ok(entry.frame.x + entry.frame.w <= sheet.width);
+    assert.ok(entry.frame.y + entry.frame.h <= sheet.height);
+  }
+  assert.deepEqual(animations.walk.frames.map(frame => frame.key), ['walk_0', 'walk_1', 'walk_2', 'walk_3']);
+});
+
+test('local provider placeholders are deterministic', async () => {
+  const options = { width: FRAME_SIZE * 2, height: FRAME_SIZE, frameCount: 2 };
+  const first = await localProvider.generateImage('same prompt', options);
+  const second = await localProvider.generateImage('same prompt', options);
+
+  assert.deepEqual(first, second);
+});
+
+/**
+ * Writes the test spec
+ * @returns {Promise<string>} Spec path
+ */
+async function writeTestSpec() {
+  const specPath = join(workDir, 'tester.json');
+  await writeFile(specPath, JSON.stringify({
+    name: 'tester',
+    character: { description: 'a small test knight' },
+    frameWidth: FRAME_SIZE,
+    frameHeight: FRAME_SIZE,
+    animations: {
+      idle: { frames: 2, fps: 4 },
+      walk: { frames: 4, fps: 8 },
+    },
+  }));
+  return specPath;
+}
+
+test('generateSprites writes a packed character with the local provider', async () => {
+  const specPath = await writeTestSpec();
+  const outputDir = join(workDir, 'out');
+  const result = await generateSprites(specPath, { provider: 'local', cache: false, outputDir });
+
+  assert.equal(result.frameCount, 6);
+  assert.equal(result.cost.estimatedCost, 0);
+
+  const sheet = await sharp(result.files.image).metadata();
+  assert.equal(sheet.channels, 4);
+
+  const atlas = JSON.parse(await readFile(result.files.atlas, 'utf-8'));
+  assert.equal(Object.keys(atlas.frames).length, 6);
+
+  const report = JSON.parse(await readFile(result.files.report, 'utf-8'));
+  assert.equal(report.provider, 'local');
+  assert.equal(report.animations.walk.isValid, true);
+
+  const phaserAnims = JSON.parse(await readFile(result.files.phaserAnims, 'utf-8'));
+  assert.deepEqual(phaserAnims.anims.map(anim => anim.key).sort(), ['tester_idle', 'tester_walk']);
+});
+
+test('each part of a long animation is generated from the previous part\'s strip', async (t) => {
+  const specPath = join(workDir, 'long.json');
+  await writeFile(specPath, JSON.stringify({
+    name: 'long',
+    character: { description: 'a small test knight' },
+    frameWidth: FRAME_SIZE,
+    frameHeight: FRAME_SIZE,
+    animations: { walk: { frames: 12, fps: 8 } },
+  }));
+  const edit = t.mock.method(localProvider, 'editImages');
+
+  const result = await generateSprites(specPath, { provider: 'local', cache: false, outputDir: join(workDir, 'long') });
+
+  assert.equal(result.frameCount, 12);
+  assert.equal(edit.mock.callCount(), 1);
+  const [prompt, reference] = edit.mock.calls[0].arguments;
+  assert.match(prompt, /part 1 of this animation/);
+  const strip = await sharp(reference).metadata();
+  assert.equal(strip.height, FRAME_SIZE);
+  assert.equal(strip.width, FRAME_SIZE * 7);
+});
+
+test('generateSprites rejects attempt and concurrency limits that are not positive integers', async () => {
+  const specPath = await writeTestSpec();
+  const options = { provider: 'local', cache: false, outputDir: join(workDir, 'limits') };
+
+  await assert.rejects(generateSprites(specPath, { ...options, maxAttempts: NaN }), /Max attempts/);
+  await assert.rejects(generateSprites(specPath, { ...options, maxAttempts: 0 }), /Max attempts/);
+  await assert.rejects(generateSprites(specPath, { ...options, concurrency: NaN }), /Concurrency/);
+});
+
+test('recolored variants are remapped to the project palette', async () => {
+  const specPath = join(workDir, 'variant.json');
+  const paletteFile = join(workDir, 'project.hex');
+  await writeFile(paletteFile, '#000000\n#f0c8a0\n#3050a0\n#a03030\n');
+  await writeFile(specPath, JSON.stringify({
+    name: 'variant',
+    character: { description: 'a small test knight' },
+    frameWidth: FRAME_SIZE,
+    frameHeight: FRAME_SIZE,
+    animations: { idle: { frames: 2, fps: 4 } },
+    variants: { pink: { palette: { '#f0c8a0': '#ff00ff' } } },
+  }));
+
+  const result = await generateSprites(specPath, {
+    provider: 'local',
+    cache: false,
+    outputDir: join(workDir, 'variants', 'variant'),
+    paletteFile,
+  });
+
+  const [variant] = result.variants;
+  const report = JSON.parse(await readFile(variant.files.report, 'utf-8'));
+  assert.ok(report.palette.paletteLock, 'variant report records the palette lock');
+  const used = report.colors.palette.map(color => color.hex);
+  assert.ok(used.every(hex => ['#000000', '#f0c8a0', '#3050a0', '#a03030'].includes(hex)), used.join(', '));
+});
@@ -0,0 +1,391 @@
+/**
+ * Pixel-grid recovery
+ * Image models draw "pixel art" as blurry blocks of roughly N×N screen pixels.
+ * This detects the block size and offset and samples one color per block,
+ * rebuilding the logical pixel art before it is scaled to the target size
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Detected pixel grid
+ * @typedef {Object} PixelGrid
+ * @property {number} cellWidth - Screen pixels per logical pixel, horizontally (may be fractional)
+ * @property {number} cellHeight - Screen pixels per logical pixel, vertically (may be fractional)
+ * @property {number} offsetX - X of the first cell boundary
+ * @property {number} offsetY - Y of the first cell boundary
+ * @property {number} columns - Logical width
+ * @property {number} rows - Logical height
+ * @property {number} confidence - Weaker of the two axes' grid scores (0-1)
+ */
+
+/**
+ * Detects the logical pixel grid of an upscaled pixel-art image
+ * @param {Buffer} imageBuffer - PNG image
+ * @param {Object} options - Detection options
+ * @param {number} options.minConfidence - Minimum grid score, 0-1 (default: config.processing.minGridConfidence)
+ * @param {number} options.columns - Expected logical width, if known
+ * @param {number} options.rows - Expected logical height, if known
+ * @returns {Promise<PixelGrid|null>} Grid, or null when no regular grid is found
+ */
+export async function detectPixelGrid(imageBuffer, options = {}) {
+  const { minConfidence = config.processing.minGridConfidence, columns, rows } = options;
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const grid = detectGridFromPixels(data, info.width, info.height, { columns, rows });
+  if (!grid || grid.confidence < minConfidence) {
+    logger.debug(`No pixel grid detected${grid ? ` (confidence ${grid.confidence.toFixed(2)})` : ''}`);
+    return null;
+  }
+
+  return grid;
+}
+
+/**
+ * Scales a generated image to the target size, reconstructing its logical
+ * pixels first when a pixel grid is detected
+ * Falls back to a nearest-neighbor resize when recovery is disabled or no grid is found
+ * @param {Buffer} imageBuffer - Generated PNG
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} options - Recovery options
+ * @param {boolean} options.enabled - Try grid recovery (default: config.processing.pixelGridRecovery)
+ * @param {string} options.sampling - 'mode' or 'median' (default: config.processing.pixelSampling)
+ * @returns {Promise<{buffer: Buffer, grid: PixelGrid|null}>} Target-size PNG and the grid used
+ */
+export async function recoverPixelArt(imageBuffer, targetWidth, targetHeight, options = {}) {
+  const {
+    enabled = config.processing.pixelGridRecovery,
+    sampling = config.processing.pixelSampling,
+  } = options;
+
+  let buffer = imageBuffer;
+  let grid = null;
+
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  // Only an image drawn larger than the target can hold a grid worth recovering
+  if (enabled && (width > targetWidth || height > targetHeight)) {
+    const data = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+
+    const detected = detectGridFromPixels(data, width, height, {
+      columns: targetWidth,
+      rows: targetHeight,
+    });
+
+    // A grid coarser than the target would throw detail away; scale normally instead
+    if (detected && detected.confidence >= config.processing.minGridConfidence &&
+        detected.columns >= targetWidth * 0.5 && detected.rows >= targetHeight * 0.5) {
+      grid = detected;
+      const logical = sampleGrid(data, width, height, grid, sampling);
+      buffer = await sharp(logical, { raw: { width: grid.columns, height: grid.rows, channels: 4 } })
+        .png()
+        .toBuffer();
+
+      logger.debug(
+        `Pixel grid ${grid.cellWidth.toFixed(2)}x${grid.cellHeight.toFixed(2)} at ` +
+        `(${grid.offsetX.toFixed(1)}, ${grid.offsetY.toFixed(1)}) -> ${grid.columns}x${grid.rows} logical pixels`
+      );
+    }
+  }
+
+  if (!grid || grid.columns !== targetWidth || grid.rows !== targetHeight) {
+    buffer = await sharp(buffer)
+      .resize(targetWidth, targetHeight, {
+        kernel: sharp.kernel.nearest,
+        fit: 'fill',
+      })
+      .png()
+      .toBuffer();
+  }
+
+  return { buffer, grid };
+}
+
+/**
+ * Detects the grid on both axes of raw RGBA data
+ * @param {Buffer} data - Raw RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} expected - Logical size the image was requested at, if known
+ * @param {number} expected.columns - Expected logical width
+ * @param {number} expected.rows - Expected logical height
+ * @returns {PixelGrid|null} Grid (confidence not yet checked), or null for images too small to analyse
+ */
+function detectGridFromPixels(data, width, height, expected = {}) {
+  // Blurred blocks show faint mid-cell edges, so half the true period can match as
+  // well as the period itself; cells well below the expected size are not searched
+  const minWidth = expected.columns ? (width / expected.columns) * 0.75 : 2;
+  const minHeight = expected.rows ? (height / expected.rows) * 0.75 : 2;
+
+  const horizontal = findPeriod(edgeProfile(data, width, height, 'x'), minWidth);
+  const vertical = findPeriod(edgeProfile(data, width, height, 'y'), minHeight);
+
+  if (!horizontal || !vertical) {
+    return null;
+  }
+
+  const x = placeCells(horizontal, width, expected.columns);
+  const y = placeCells(vertical, height, expected.rows);
+
+  const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+  return {
+    cellWidth: round(horizontal.period, 3),
+    cellHeight: round(vertical.period, 3),
+    offsetX: round(x.start, 2),
+    offsetY: round(y.start, 2),
+    columns: x.count,
+    rows: y.count,
+    confidence: round(Math.min(horizontal.score, vertical.score), 2),
+  };
+}
+
+/**
+ * Places the cells along one axis
+ * A count within two cells of the expected one is taken to be the intended size
+ * (the difference being cropped or padded edges) and snapped to it
+ * @param {{period: number, offset: number}} match - Period and phase from findPeriod
+ * @param {number} length - Image size along the axis
+ * @param {number} expectedCount - Expected number of cells, if known
+ * @returns {{start: number, count: number}} Position of the first cell and number of cells
+ */
+function placeCells({ period, offset }, length, expectedCount) {
+  const phase = offset % period;
+  // A leading partial cell over half a cell wide holds a logical pixel too
+  const natural = phase > period / 2 ? phase - period : phase;
+  const naturalCount = Math.max(1, Math.round((length - natural) / period));
+
+  if (!expectedCount || Math.abs(naturalCount - expectedCount) > 2) {
+    return { start: natural, count: naturalCount };
+  }
+
+  // Keep the expected count and shift by whole cells to cover the most of the image
+  const coverage = start => Math.min(length, start + expectedCount * period) - Math.max(0, start);
+  let start = phase;
+  for (const candidate of [phase - period, phase - 2 * period]) {
+    if (coverage(candidate) > coverage(start) + 1e-9) start = candidate;
+  }
+
+  return { start, count: expectedCount };
+}
+
+/**
+ * Sums the color change between neighbouring columns (axis 'x') or rows (axis 'y')
+ * Entry i holds the change between positions i - 1 and i, so cell boundaries peak
+ * @param {Buffer} data - Raw RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Float64Array} Edge strength per position
+ */
+function edgeProfile(data, width, height, axis) {
+  const length = axis === 'x' ? width : height;
+  const profile = new Float64Array(length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const position = axis === 'x' ? x : y;
+      if (position === 0) continue;
+
+      const i = (y * width + x) * 4;
+      const j = axis === 'x' ? i - 4 : i - width * 4;
+      profile[position] +=
+        Math.abs(data[i] - data[j]) +
+        Math.abs(data[i + 1] - data[j + 1]) +
+        Math.abs(data[i + 2] - data[j + 2]) +
+        Math.abs(data[i + 3] - data[j + 3]) * 2;
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Marks the local maxima of an edge profile
+ * Blur spreads each boundary over neighbouring positions but leaves one maximum;
+ * counting maxima rather than summing strength keeps a few strong outline edges
+ * from outweighing the many faint edges between neighbouring pixels
+ * @param {Float64Array} profile - Edge profile
+ * @returns {Uint8Array} 1 at each peak, 0 elsewhere
+ */
+function findPeaks(profile) {
+  let total = 0;
+  for (let i = 1; i < profile.length; i++) total += profile[i];
+  const floor = (total / Math.max(1, profile.length - 1)) * 0.1;
+
+  const peaks = new Uint8Array(profile.length);
+  for (let i = 1; i < profile.length - 1; i++) {
+    if (profile[i] > floor && profile[i] > profile[i - 1] && profile[i] >= profile[i + 1]) {
+      peaks[i] = 1;
+    }
+  }
+  return peaks;
+}
+
+/**
+ * Finds the period and phase of the peaks in an edge profile
+ * Periods are stepped finely enough that the predicted boundaries drift less
+ * than half a pixel across the image, so fractional periods (e.g. 1792 / 384 = 4.67)
+ * are found; the best match is then refined further
+ * @param {Float64Array} profile - Edge profile
+ * @param {number} minPeriod - Smallest period to consider (at least 2)
+ * @returns {{period: number, offset: number, score: number}|null} Best match; score (0-1) is the
+ *   share of peaks on the predicted boundaries, beyond what a random phase would catch
+ */
+function findPeriod(profile, minPeriod = 2) {
+  const peaks = findPeaks(profile);
+  const length = peaks.length;
+  const maxPeriod = Math.min(64, length / 8);
+  minPeriod = Math.max(2, minPeriod);
+  if (maxPeriod < minPeriod) return null;
+
+  let total = 0;
+  for (let i = 1; i < length; i++) total += peaks[i];
+  if (total === 0) return null;
+
+  const score = (period, offset) => {
+    let hits = 0;
+    for (let x = offset; x < length - 0.5; x += period) {
+      const position = Math.round(x);
+      if (position >= 1) hits += peaks[position];
+    }
+    const chance = 1 / period;
+    return (hits / total - chance) / (1 - chance);
+  };
+
+  // Multiples of the true period miss boundaries and so score lower; divisors
+  // would not, which is why the caller bounds the search from below
+  let match = null;
+  for (let period = minPeriod; period <= maxPeriod; period += Math.max(0.002, (period * period) / length / 2)) {
+    for (let offset = 0; offset < period; offset += 0.5) {
+      const s = score(period, offset);
+      if (!match || s > match.score) match = { period, offset, score: s };
+    }
+  }
+
+  // Fine pass around the best match
+  const coarse = match;
+  const span = Math.max(0.002, (coarse.period * coarse.period) / length / 2);
+  for (let period = coarse.period - span; period <= coarse.period + span; period += span / 10) {
+    for (let offset = coarse.offset - 0.5; offset <= coarse.offset + 0.5; offset += 0.1) {
+      if (offset < 0) continue;
+      const s = score(period, offset);
+      if (s > match.score) match = { period, offset, score: s };
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Reduces each grid cell to one pixel
+ * Only the centre of each cell is sampled, skipping the blurred borders
+ * @param {Buffer} data - Raw RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {PixelGrid} grid - Detected grid
+ * @param {string} sampling - 'mode' or 'median'
+ * @returns {Buffer} Raw RGBA data of grid.columns x grid.rows pixels
+ */
+function sampleGrid(data, width, height, grid, sampling) {
+  const { alphaThreshold } = config.validation;
+  const output = Buffer.alloc(grid.columns * grid.rows * 4);
+  const insetX = grid.cellWidth * 0.25;
+  const insetY = grid.cellHeight * 0.25;
+
+  for (let row = 0; row < grid.rows; row++) {
+    const top = grid.offsetY + row * grid.cellHeight;
+    const y0 = clamp(Math.round(top + insetY), 0, height - 1);
+    const y1 = clamp(Math.round(top + grid.cellHeight - insetY) - 1, y0, height - 1);
+
+    for (let column = 0; column < grid.columns; column++) {
+      const left = grid.offsetX + column * grid.cellWidth;
+      const x0 = clamp(Math.round(left + insetX), 0, width - 1);
+      const x1 = clamp(Math.round(left + grid.cellWidth - insetX) - 1, x0, width - 1);
+
+      const pixels = [];
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const i = (y * width + x) * 4;
+          pixels.push([data[i], data[i + 1], data[i + 2], data[i + 3]]);
+        }
+      }
+
+      const color = sampling === 'median' ? medianColor(pixels) : modeColor(pixels, alphaThreshold);
+      color.forEach((value, channel) => {
+        output[(row * grid.columns + column) * 4 + channel] = value;
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Most common color of a cell, bucketed so slight noise does not split votes
+ * Returns the average of the winning bucket; transparent pixels vote together
+ * @param {number[][]} pixels - RGBA pixels
+ * @param {number} alphaThreshold - Alpha at or below which a pixel is transparent
+ * @returns {number[]} RGBA color
+ */
+function modeColor(pixels, alphaThreshold) {
+  const buckets = new Map();
+
+  for (const pixel of pixels) {
+    const key = pixel[3] <= alphaThreshold
+      ? 'transparent'
+      : `${pixel[0] >> 4},${pixel[1] >> 4},${pixel[2] >> 4},${pixel[3] >> 6}`;
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0, 0] };
+    bucket.count++;
+    pixel.forEach((value, channel) => { bucket.sum[channel] += value; });
+    buckets.set(key, bucket);
+  }
+
+  let winner = null;
+  for (const [key, bucket] of buckets) {
+    if (!winner || bucket.count > winner.bucket.count) winner = { key, bucket };
+  }
+
+  if (winner.key === 'transparent') {
+    return [0, 0, 0, 0];
+  }
+
+  return winner.bucket.sum.map(value => Math.round(value / winner.bucket.count));
+}
+
+/**
+ * Per-channel median color of a cell
+ * @param {number[][]} pixels - RGBA pixels
+ * @returns {number[]} RGBA color
+ */
+function medianColor(pixels) {
+  return [0, 1, 2, 3].map(channel => {
+    const values = pixels.map(p => p[channel]).sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  });
+}
+
+/**
+ * Clamps a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export default {
+  detectPixelGrid,
+  recoverPixelArt,
+};
@@ -0,0 +1,255 @@
+/**
+ * Color quantization
+ * Reduces generated art to a limited palette - median-cut, or the nearest colors
+ * of a supplied palette - without dithering, so flat pixel-art areas stay flat
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import { parseHexColor } from './recolor.js';
+
+/**
+ * Palette entry
+ * @typedef {Object} PaletteColor
+ * @property {string} hex - Color as #rrggbb
+ * @property {number} pixels - Opaque pixels using the color
+ */
+
+/**
+ * Quantization result
+ * @typedef {Object} QuantizeResult
+ * @property {Buffer} buffer - Quantized PNG
+ * @property {number} before - Distinct opaque colors before quantization
+ * @property {number} after - Distinct opaque colors after quantization
+ * @property {string[]} palette - Colors used, most common first
+ */
+
+/**
+ * Quantizes an image to a limited palette
+ * Every opaque pixel takes the nearest palette color; alpha is left unchanged.
+ * Without a supplied palette, one of up to `colors` colors is built by median cut
+ * @param {Buffer} imageBuffer - PNG buffer
+ * @param {Object} options - Quantization options
+ * @param {number} options.colors - Maximum colors (median cut)
+ * @param {string[]|null} options.palette - Colors to map to instead of a median-cut palette
+ * @returns {Promise<QuantizeResult>} Quantized image
+ */
+export async function quantizeImage(imageBuffer, options = {}) {
+  const { colors = 16, palette = null } = options;
+
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const histogram = buildHistogram(data);
+  const targets = palette
+    ? palette.map(parseHexColor).map(({ r, g, b }) => [r, g, b])
+    : medianCut(histogram, colors);
+
+  // Sprites use few colors, so each distinct color is matched once
+  const mapping = new Map();
+  for (const color of histogram.keys()) {
+    mapping.set(color, nearestColor(color, targets));
+  }
+
+  const { alphaThreshold } = config.validation;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] <= alphaThreshold) continue;
+    [data[i], data[i + 1], data[i + 2]] = mapping.get(packColor(data[i], data[i + 1], data[i + 2]));
+  }
+
+  const buffer = await sharp(data, {
+    raw: {
+      width: info.width,
+      height: info.height,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  const used = sortByUse(buildHistogram(data));
+
+  return {
+    buffer,
+    before: histogram.size,
+    after: used.length,
+    palette: used.map(color => color.hex),
+  };
+}
+
+/**
+ * Lists the opaque colors used across images
+ * @param {Buffer[]} imageBuffers - PNG buffers (e.g. every frame of a character)
+ * @returns {Promise<PaletteColor[]>} Colors, most common first
+ */
+export async function extractPalette(imageBuffers) {
+  const histogram = new Map();
+
+  for (const imageBuffer of imageBuffers) {
+    const { data } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    for (const [color, pixels] of buildHistogram(data)) {
+      histogram.set(color, (histogram.get(color) || 0) + pixels);
+    }
+  }
+
+  return sortByUse(histogram);
+}
+
+/**
+ * Counts the opaque pixels of each color in raw RGBA data
+ * @param {Buffer} data - Raw RGBA pixels
+ * @returns {Map<number, number>} Pixel count by packed 0xRRGGBB color
+ */
+function buildHistogram(data) {
+  const { alphaThreshold } = config.validation;
+  const histogram = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] <= alphaThreshold) continue;
+    const color = packColor(data[i], data[i + 1], data[i + 2]);
+    histogram.set(color, (histogram.get(color) || 0) + 1);
+  }
+
+  return histogram;
+}
+
+/**
+ * Builds a palette by median cut
+ * The box of colors with the widest channel range (weighted by its pixels) is
+ * split at its pixel median until there are enough boxes; each box becomes
+ * the pixel-weighted average of its colors
+ * @param {Map<number, number>} histogram - Pixel count by packed color
+ * @param {number} maxColors - Maximum palette size
+ * @returns {number[][]} Palette as [r, g, b] triples
+ */
+function medianCut(histogram, maxColors) {
+  const colors = [...histogram].map(([color, pixels]) => ({ rgb: unpackColor(color), pixels }));
+  if (colors.length <= maxColors) {
+    return colors.map(color => color.rgb);
+  }
+
+  const boxes = [colors];
+  while (boxes.length < maxColors) {
+    let target = -1;
+    let targetChannel = 0;
+    let targetWeight = 0;
+
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const { channel, range } = widestChannel(box);
+      const weight = range * box.reduce((sum, color) => sum + color.pixels, 0);
+      if (weight > targetWeight) {
+        target = index;
+        targetChannel = channel;
+        targetWeight = weight;
+      }
+    });
+
+    // Every remaining box is a single color
+    if (target < 0) break;
+
+    const box = boxes[target].sort((a, b) => a.rgb[targetChannel] - b.rgb[targetChannel]);
+    const half = box.reduce((sum, color) => sum + color.pixels, 0) / 2;
+    let split = 1;
+    for (let count = box[0].pixels; split < box.length - 1 && count + box[split].pixels <= half; split++) {
+      count += box[split].pixels;
+    }
+
+    boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+  }
+
+  return boxes.map(averageColor);
+}
+
+/**
+ * Finds the channel with the widest value range in a box
+ * @param {Object[]} box - Colors ({ rgb, pixels })
+ * @returns {{channel: number, range: number}} Channel index (0-2) and its range
+ */
+function widestChannel(box) {
+  let best = { channel: 0, range: -1 };
+
+  for (let channel = 0; channel < 3; channel++) {
+    const values = box.map(color => color.rgb[channel]);
+    const range = Math.max(...values) - Math.min(...values);
+    if (range > best.range) best = { channel, range };
+  }
+
+  return best;
+}
+
+/**
+ * Averages a box of colors, weighted by pixel count
+ * @param {Object[]} box - Colors ({ rgb, pixels })
+ * @returns {number[]} [r, g, b]
+ */
+function averageColor(box) {
+  const total = box.reduce((sum, color) => sum + color.pixels, 0);
+  return [0, 1, 2].map(channel =>
+    Math.round(box.reduce((sum, color) => sum + color.rgb[channel] * color.pixels, 0) / total)
+  );
+}
+
+/**
+ * Finds the palette color closest to a color
+ * @param {number} color - Packed color
+ * @param {number[][]} palette - Palette as [r, g, b] triples
+ * @returns {number[]} Closest [r, g, b]
+ */
+function nearestColor(color, palette) {
+  const [r, g, b] = unpackColor(color);
+  let best = palette[0];
+  let bestDistance = Infinity;
+
+  for (const candidate of palette) {
+    const distance = (r - candidate[0]) ** 2 + (g - candidate[1]) ** 2 + (b - candidate[2]) ** 2;
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Sorts a histogram into palette entries, most common first
+ * @param {Map<number, number>} histogram - Pixel count by packed color
+ * @returns {PaletteColor[]} Palette entries
+ */
+function sortByUse(histogram) {
+  return [...histogram]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([color, pixels]) => ({ hex: `#${color.toString(16).padStart(6, '0')}`, pixels }));
+}
+
+/**
+ * Packs a color into one number
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @returns {number} 0xRRGGBB
+ */
+function packColor(r, g, b) {
+  return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Unpacks a color
+ * @param {number} color - 0xRRGGBB
+ * @returns {number[]} [r, g, b]
+ */
+function unpackColor(color) {
+  return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff];
+}
+
+export default {
+  quantizeImage,
+  extractPalette,
+};
@@ -0,0 +1,108 @@
+/**
+ * Palette remapping
+ * Recolors generated frames locally (e.g. red team -> blue team) without new API calls
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+
+/**
+ * Parses a '#rgb' or '#rrggbb' color
+ * @param {string} hex - Hex color
+ * @returns {{r: number, g: number, b: number}} Color channels
+ */
+export function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!match) {
+    throw new Error(`Invalid color '${hex}' (expected #rgb or #rrggbb)`);
+  }
+
+  const digits = match[1].length === 3 ? match[1].replace(/./g, d => d + d) : match[1];
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+  };
+}
+
+/**
+ * Remaps colors in an image
+ * Each opaque pixel within tolerance of a source color takes the matching target
+ * color, offset by its difference from the source so shading variations survive.
+ * Alpha is left unchanged
+ * @param {Buffer} imageBuffer - PNG buffer
+ * @param {Object} palette - Mapping of source to target colors ({ '#b83a2e': '#2e5cb8' })
+ * @param {Object} options - Remap options
+ * @param {number} options.tolerance - RGB distance matched around each source color (default: config)
+ * @returns {Promise<{buffer: Buffer, recolored: number}>} Recolored PNG and the number of pixels changed
+ */
+export async function remapPalette(imageBuffer, palette, options = {}) {
+  const { tolerance = config.processing.paletteTolerance } = options;
+  const { alphaThreshold } = config.validation;
+  const pairs = Object.entries(palette).map(([from, to]) => [parseHexColor(from), parseHexColor(to)]);
+
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Sprites use few colors, so each distinct color is matched once
+  const matches = new Map();
+  let recolored = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] <= alphaThreshold) continue;
+
+    const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    if (!matches.has(color)) {
+      matches.set(color, findReplacement(data[i], data[i + 1], data[i + 2], pairs, tolerance));
+    }
+
+    const replacement = matches.get(color);
+    if (replacement) {
+      [data[i], data[i + 1], data[i + 2]] = replacement;
+      recolored++;
+    }
+  }
+
+  const buffer = await sharp(data, {
+    raw: {
+      width: info.width,
+      height: info.height,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return { buffer, recolored };
+}
+
+/**
+ * Finds the replacement for one color
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @param {Array<[Object, Object]>} pairs - Source and target colors
+ * @param {number} tolerance - Maximum RGB distance to a source color
+ * @returns {number[]|null} Replacement [r, g, b], or null to keep the color
+ */
+function findReplacement(r, g, b, pairs, tolerance) {
+  let best = null;
+  let bestDistance = tolerance;
+
+  for (const [from, to] of pairs) {
+    const distance = Math.hypot(r - from.r, g - from.g, b - from.b);
+    if (distance <= bestDistance) {
+      best = [to.r + r - from.r, to.g + g - from.g, to.b + b - from.b].map(v => Math.max(0, Math.min(255, v)));
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+export default {
+  parseHexColor,
+  remapPalette,
+};
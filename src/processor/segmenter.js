@@ -0,0 +1,299 @@
+/**
+ * Content-aware strip segmentation
+ * Finds the figures in a sprite strip from its alpha mask instead of cutting
+ * at fixed frameWidth offsets, and re-centers each one in its own frame
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import logger from '../utils/logger.js';
+import { sliceStrip } from './slicer.js';
+
+/**
+ * Supported segmentation modes
+ * - fixed: cut at i * frameWidth
+ * - content: cut around detected figures
+ */
+export const SEGMENTATION_MODES = ['fixed', 'content'];
+
+/**
+ * Segmentation outcome for one strip
+ * @typedef {Object} SegmentationReport
+ * @property {string} mode - 'content', or 'fixed' when the figures could not be matched
+ * @property {number} expected - Frames the spec asks for
+ * @property {number} detected - Figures found before merging and splitting
+ * @property {number} merged - Figures merged into a neighbour
+ * @property {number} split - Figures split in two
+ * @property {boolean} matched - Whether the figures were matched to the expected count
+ */
+
+/**
+ * Slices a strip into frames around the figures it contains
+ * Connected components of the alpha mask whose columns overlap form one figure
+ * (so a detached weapon or effect stays with its character). Extra figures are
+ * merged into a neighbour while the pair fits one frame; missing ones are made
+ * by splitting over-wide figures at their thinnest column. When the count still
+ * disagrees with the spec the strip is cut at fixed offsets instead.
+ * @param {Buffer} stripBuffer - PNG buffer of the sprite strip
+ * @param {number} frameWidth - Width of each frame
+ * @param {number} frameHeight - Height of each frame
+ * @param {number} frameCount - Number of frames to extract
+ * @returns {Promise<{frames: import('./slicer.js').ExtractedFrame[], report: SegmentationReport}>}
+ *   Frames and how they were found
+ */
+export async function segmentStrip(stripBuffer, frameWidth, frameHeight, frameCount) {
+  const { data, info } = await sharp(stripBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const opaque = getOpaqueMask(data, info.width, info.height);
+  const figures = findFigures(opaque, info.width, info.height, frameWidth * frameHeight);
+  const report = {
+    mode: 'content',
+    expected: frameCount,
+    detected: figures.length,
+    merged: 0,
+    split: 0,
+    matched: false,
+  };
+
+  const columns = columnProjection(opaque, info.width, info.height);
+
+  while (figures.length > frameCount && mergeClosestPair(figures, frameWidth)) {
+    report.merged++;
+  }
+  while (figures.length < frameCount && splitWidest(figures, columns, frameWidth)) {
+    report.split++;
+  }
+
+  report.matched = figures.length === frameCount;
+
+  // The report carries the mismatch; callers surface it through their progress handle
+  if (!report.matched) {
+    logger.debug(`Found ${report.detected} figures, expected ${frameCount} frames; cutting at fixed offsets instead`);
+    const frames = await sliceStrip(stripBuffer, frameWidth, frameHeight, frameCount);
+    return { frames, report: { ...report, mode: 'fixed' } };
+  }
+
+  if (report.detected !== frameCount) {
+    logger.debug(`Matched ${report.detected} figures to ${frameCount} frames (${report.merged} merged, ${report.split} split)`);
+  }
+
+  const frames = [];
+  for (const [index, figure] of figures.entries()) {
+    const buffer = await centerFigure(data, info.width, info.height, figure, frameWidth, frameHeight);
+    frames.push({
+      buffer,
+      index,
+      x: figure.x0,
+      y: 0,
+      width: frameWidth,
+      height: frameHeight,
+    });
+  }
+
+  logger.debug(`Segmented ${frames.length} frames from sprite strip`);
+  return { frames, report };
+}
+
+/**
+ * Marks the opaque pixels of raw RGBA data
+ * @param {Buffer} data - Raw RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} 1 for each opaque pixel
+ */
+function getOpaqueMask(data, width, height) {
+  const { alphaThreshold } = config.validation;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = data[i * 4 + 3] > alphaThreshold ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Counts the opaque pixels in each column
+ * @param {Uint8Array} mask - Opaque mask
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint32Array} Opaque pixels per column
+ */
+function columnProjection(mask, width, height) {
+  const columns = new Uint32Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      columns[x] += mask[y * width + x];
+    }
+  }
+  return columns;
+}
+
+/**
+ * Finds figures: 8-connected components of the mask, grouped where their columns overlap
+ * Components smaller than 0.2% of a frame are specks and do not start a figure
+ * @param {Uint8Array} mask - Opaque mask
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} frameArea - Pixels in one frame
+ * @returns {{x0: number, x1: number}[]} Figures as column ranges, left to right
+ */
+function findFigures(mask, width, height, frameArea) {
+  const minPixels = Math.max(2, Math.round(frameArea * 0.002));
+  const visited = new Uint8Array(mask.length);
+  const ranges = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || visited[start]) continue;
+
+    // Flood fill with an explicit stack; strips can be too large to recurse
+    const stack = [start];
+    visited[start] = 1;
+    let pixels = 0;
+    let x0 = width;
+    let x1 = -1;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+      pixels++;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const neighbour = ny * width + nx;
+          if (mask[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (pixels >= minPixels) {
+      ranges.push({ x0, x1 });
+    }
+  }
+
+  // Components sharing columns belong to the same figure
+  ranges.sort((a, b) => a.x0 - b.x0);
+  const figures = [];
+  for (const range of ranges) {
+    const last = figures[figures.length - 1];
+    if (last && range.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, range.x1);
+    } else {
+      figures.push({ ...range });
+    }
+  }
+
+  return figures;
+}
+
+/**
+ * Merges the neighbouring pair of figures that together span the fewest columns
+ * @param {{x0: number, x1: number}[]} figures - Figures, left to right (modified in place)
+ * @param {number} frameWidth - Frame width; pairs wider than this are not merged
+ * @returns {boolean} Whether a pair was merged
+ */
+function mergeClosestPair(figures, frameWidth) {
+  let best = -1;
+  for (let i = 0; i < figures.length - 1; i++) {
+    const span = figures[i + 1].x1 - figures[i].x0 + 1;
+    if (span <= frameWidth && (best < 0 || span < figures[best + 1].x1 - figures[best].x0 + 1)) {
+      best = i;
+    }
+  }
+
+  if (best < 0) return false;
+
+  figures.splice(best, 2, { x0: figures[best].x0, x1: figures[best + 1].x1 });
+  return true;
+}
+
+/**
+ * Splits the widest figure at its thinnest column, if it is clearly wider than
+ * one frame or than the strip's typical figure
+ * Only the middle half of the figure is searched so neither side becomes a sliver
+ * @param {{x0: number, x1: number}[]} figures - Figures, left to right (modified in place)
+ * @param {Uint32Array} columns - Opaque pixels per column
+ * @param {number} frameWidth - Frame width
+ * @returns {boolean} Whether a figure was split
+ */
+function splitWidest(figures, columns, frameWidth) {
+  let widest = -1;
+  for (let i = 0; i < figures.length; i++) {
+    if (widest < 0 || figures[i].x1 - figures[i].x0 > figures[widest].x1 - figures[widest].x0) {
+      widest = i;
+    }
+  }
+
+  const figure = figures[widest];
+  if (!figure) return false;
+
+  const widths = figures.map(f => f.x1 - f.x0 + 1).sort((a, b) => a - b);
+  const typical = widths[Math.floor(widths.length / 2)];
+  const width = figure.x1 - figure.x0 + 1;
+  if (width <= Math.min(frameWidth * 1.2, typical * 1.6)) return false;
+
+  let cut = -1;
+  const from = figure.x0 + Math.floor(width / 4);
+  const to = figure.x1 - Math.floor(width / 4);
+  for (let x = from; x <= to; x++) {
+    if (cut < 0 || columns[x] < columns[cut]) cut = x;
+  }
+
+  figures.splice(widest, 1, { x0: figure.x0, x1: cut - 1 }, { x0: cut, x1: figure.x1 });
+  return true;
+}
+
+/**
+ * Copies one figure into the horizontal centre of an empty frame
+ * Rows are kept as they are so the figures stay on the strip's baseline;
+ * figures wider than the frame are cropped evenly on both sides
+ * @param {Buffer} data - Raw RGBA strip data
+ * @param {number} width - Strip width
+ * @param {number} height - Strip height
+ * @param {{x0: number, x1: number}} figure - Figure columns
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @returns {Promise<Buffer>} Frame PNG
+ */
+async function centerFigure(data, width, height, figure, frameWidth, frameHeight) {
+  const figureWidth = figure.x1 - figure.x0 + 1;
+  const crop = Math.max(0, Math.floor((figureWidth - frameWidth) / 2));
+  const sourceX = figure.x0 + crop;
+  const copyWidth = Math.min(figureWidth, frameWidth);
+  const left = Math.floor((frameWidth - copyWidth) / 2);
+
+  if (crop > 0) {
+    logger.debug(`Figure at x=${figure.x0} is ${figureWidth}px wide, cropped to ${frameWidth}px`);
+  }
+
+  const frame = Buffer.alloc(frameWidth * frameHeight * 4);
+  for (let y = 0; y < Math.min(height, frameHeight); y++) {
+    const source = (y * width + sourceX) * 4;
+    data.copy(frame, (y * frameWidth + left) * 4, source, source + copyWidth * 4);
+  }
+
+  return sharp(frame, {
+    raw: {
+      width: frameWidth,
+      height: frameHeight,
+      channels: 4,
+    },
+  })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+export default {
+  SEGMENTATION_MODES,
+  segmentStrip,
+};
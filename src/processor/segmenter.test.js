@@ -0,0 +1,53 @@
+/**
+ * Segmenter tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+import { segmentStrip } from './segmenter.js';
+
+const FRAME_SIZE = 32;
+
+/**
+ * Draws a strip with an opaque square centered in each of the given frames
+ * @param {number} frameCount - Frames in the strip
+ * @param {number[]} filled - Indices of the frames that get a square
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+async function drawStrip(frameCount, filled) {
+  const squares = await Promise.all(filled.map(async index => ({
+    input: await sharp({
+      create: { width: 12, height: 12, channels: 4, background: { r: 200, g: 40, b: 40, alpha: 1 } },
+    }).png().toBuffer(),
+    left: index * FRAME_SIZE + 10,
+    top: 10,
+  })));
+
+  return sharp({
+    create: { width: FRAME_SIZE * frameCount, height: FRAME_SIZE, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+  }).composite(squares).png().toBuffer();
+}
+
+test('segmentStrip cuts one frame around each figure', async () => {
+  const strip = await drawStrip(3, [0, 1, 2]);
+  const { frames, report } = await segmentStrip(strip, FRAME_SIZE, FRAME_SIZE, 3);
+
+  assert.equal(frames.length, 3);
+  assert.equal(report.mode, 'content');
+  assert.equal(report.matched, true);
+});
+
+test('segmentStrip reports a figure mismatch instead of warning about it', async (t) => {
+  const warn = t.mock.method(logger, 'warn');
+  const strip = await drawStrip(4, []);
+
+  const { frames, report } = await segmentStrip(strip, FRAME_SIZE, FRAME_SIZE, 4);
+
+  assert.equal(frames.length, 4);
+  assert.equal(report.mode, 'fixed');
+  assert.equal(report.matched, false);
+  assert.equal(report.detected, 0);
+  assert.equal(warn.mock.callCount(), 0);
+});
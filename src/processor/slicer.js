@@ -83,7 +83,7 @@ export async function sliceStrip(stripBuffer, frameWidth, frameHeight, frameCoun
     }
   }
 
-  logger.info(`Sliced ${frames.length} frames from sprite strip`);
+  logger.debug(`Sliced ${frames.length} frames from sprite strip`);
   return frames;
 }
 
@@ -0,0 +1,337 @@
+/**
+ * Project builds
+ * A project manifest (spraite.project.json) lists the characters of a game, spec
+ * defaults they share and where their outputs go. buildProject regenerates the
+ * characters whose inputs changed since the last build and skips the rest
+ */
+
+import { dirname, resolve, join, relative, basename } from 'path';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { config } from './config.js';
+import logger from './utils/logger.js';
+import { readJson, writeJson, fileExists } from './utils/file-utils.js';
+import { loadSpec, rebasePaths } from './generator/spec-loader.js';
+import { resolveReferenceSettings } from './generator/reference.js';
+import { resolveStyle } from './generator/styles.js';
+import { getProvider } from './generator/providers/index.js';
+import { validateSchema } from './validator/json-schema.js';
+import { generateSprites } from './index.js';
+
+/**
+ * Default manifest file name
+ */
+export const PROJECT_FILE = 'spraite.project.json';
+
+/**
+ * Build state, kept in the output directory
+ */
+const BUILD_STATE_FILE = '.spraite-build.json';
+
+/**
+ * Manifest schema
+ */
+export const PROJECT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Spraite project',
+  type: 'object',
+  required: ['characters'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    characters: {
+      type: 'array',
+      minItems: 1,
+      description: 'Spec files, relative to the manifest; a * in the file name matches several specs',
+      items: { type: 'string', minLength: 1 },
+    },
+    defaults: {
+      type: 'object',
+      description: 'Spec fields every character inherits; the specs override them',
+    },
+    output: {
+      type: 'string',
+      minLength: 1,
+      description: 'Output directory, relative to the manifest; each character goes to <output>/<name>',
+    },
+    palette: {
+      type: 'string',
+      pattern: '\\.(gpl|hex|json)$',
+      errorMessage: 'must be a .gpl, .hex or .json palette file',
+      description: 'Palette file every character is remapped to, relative to the manifest',
+    },
+  },
+};
+
+/**
+ * Loaded project
+ * @typedef {Object} Project
+ * @property {string} path - Manifest path
+ * @property {string} root - Manifest directory (paths are relative to it)
+ * @property {string[]} specs - Spec paths, in manifest order
+ * @property {Object|null} defaults - Spec defaults
+ * @property {string} outputDir - Output directory
+ * @property {string|null} paletteFile - Project palette lock (default: config.palette.file)
+ */
+
+/**
+ * Loads and validates a project manifest
+ * @param {string} projectPath - Path to the manifest
+ * @returns {Promise<Project>} Project with absolute paths
+ */
+export async function loadProject(projectPath) {
+  const path = resolve(projectPath);
+  if (!(await fileExists(path))) {
+    throw new Error(`Project file not found: ${path}`);
+  }
+
+  const manifest = await readJson(path);
+  const { errors, warnings } = validateSchema(manifest, PROJECT_SCHEMA);
+  warnings.forEach(w => logger.warn(`Project ${w}`));
+  if (errors.length > 0) {
+    throw new Error(`Project invalid: ${errors.join(', ')}`);
+  }
+
+  const root = dirname(path);
+  const specs = [];
+  for (const entry of manifest.characters) {
+    for (const specPath of await expandEntry(root, entry)) {
+      // A wildcard next to the manifest also matches the manifest itself
+      if (specPath !== path && !specs.includes(specPath)) specs.push(specPath);
+    }
+  }
+
+  return {
+    path,
+    root,
+    specs,
+    defaults: manifest.defaults ? rebasePaths(manifest.defaults, path) : null,
+    outputDir: resolve(root, manifest.output ?? config.paths.output),
+    paletteFile: manifest.palette ? resolve(root, manifest.palette) : config.palette.file,
+  };
+}
+
+/**
+ * Character build outcome
+ * @typedef {Object} CharacterBuild
+ * @property {string} name - Character name
+ * @property {string} spec - Spec path, relative to the manifest
+ * @property {string} status - 'built', 'current' (skipped), 'stale' (dry run) or 'failed'
+ * @property {number|null} frames - Frames packed
+ * @property {number} variants - Variants produced
+ * @property {number} apiCalls - API calls made (or projected, in a dry run)
+ * @property {number} cost - Estimated spend (or projected spend, in a dry run)
+ * @property {number} seconds - Time taken
+ * @property {string} [error] - Failure message
+ */
+
+/**
+ * Generates every character of a project that is out of date
+ * A character is current when its resolved spec (with defaults and extends),
+ * reference image, provider, image model, and generation and processing settings
+ * match the last successful build and all of that build's output files still
+ * exist. A failing character does not stop the build
+ * @param {string} projectPath - Path to the manifest
+ * @param {Object} options - Build options; others are passed to generateSprites
+ * @param {boolean} options.force - Rebuild current characters too
+ * @param {string[]} options.only - Build only these character names
+ * @param {boolean} options.dryRun - Report what would be built and its projected cost
+ * @returns {Promise<{project: string, outputDir: string, characters: CharacterBuild[]}>} Build summary
+ */
+export async function buildProject(projectPath, options = {}) {
+  const { force = false, only = null, dryRun = false, ...generation } = options;
+  const project = await loadProject(projectPath);
+  const statePath = join(project.outputDir, BUILD_STATE_FILE);
+  const state = (await fileExists(statePath)) ? await readJson(statePath) : { characters: {} };
+  const characters = [];
+  const seen = new Map();
+
+  for (const [index, specPath] of project.specs.entries()) {
+    const started = Date.now();
+    const entry = {
+      name: basename(specPath, '.json'),
+      spec: relative(project.root, specPath),
+      status: 'failed',
+      frames: null,
+      variants: 0,
+      apiCalls: 0,
+      cost: 0,
+      seconds: 0,
+    };
+
+    try {
+      const spec = await loadSpec(specPath, { defaults: project.defaults });
+      entry.name = spec.name || 'character';
+      if (only && !only.includes(entry.name)) continue;
+
+      if (seen.has(entry.name)) {
+        throw new Error(`Character name '${entry.name}' is also used by ${seen.get(entry.name)}`);
+      }
+      seen.set(entry.name, entry.spec);
+
+      logger.step(index + 1, project.specs.length, `${entry.name} (${entry.spec})`);
+
+      const fingerprint = await getFingerprint(spec, specPath, { ...generation, paletteFile: project.paletteFile });
+      const previous = state.characters[entry.name];
+      if (!force && previous?.fingerprint === fingerprint && await allExist(project.root, previous.files)) {
+        logger.info(`${entry.name} is up to date`);
+        characters.push({ ...entry, status: 'current', frames: previous.frames, variants: previous.variants.length });
+        continue;
+      }
+
+      const outputDir = join(project.outputDir, entry.name);
+      const result = await generateSprites(specPath, {
+        ...generation,
+        defaults: project.defaults,
+        paletteFile: project.paletteFile,
+        outputDir,
+        dryRun,
+      });
+
+      if (dryRun) {
+        characters.push({
+          ...entry,
+          status: 'stale',
+          apiCalls: result.projection.imageCalls + result.projection.textCalls,
+          cost: result.projection.estimatedCost,
+        });
+        continue;
+      }
+
+      const outputs = [result, ...result.variants];
+      state.characters[entry.name] = {
+        spec: entry.spec,
+        fingerprint,
+        builtAt: new Date().toISOString(),
+        frames: result.frameCount,
+        variants: result.variants.map(v => v.characterName),
+        files: outputs.flatMap(output => Object.values(output.files)).map(file => relative(project.root, file)),
+      };
+      // Saved after every character so an interrupted build keeps its progress
+      await writeJson(statePath, state);
+
+      characters.push({
+        ...entry,
+        status: 'built',
+        frames: result.frameCount,
+        variants: result.variants.length,
+        apiCalls: result.cost.apiCalls,
+        cost: result.cost.estimatedCost,
+        seconds: (Date.now() - started) / 1000,
+      });
+    } catch (error) {
+      logger.error(`${entry.name} failed: ${error.message}`);
+      characters.push({
+        ...entry,
+        error: error.message,
+        apiCalls: error.cost?.apiCalls ?? 0,
+        cost: error.cost?.estimatedCost ?? 0,
+        seconds: (Date.now() - started) / 1000,
+      });
+    }
+  }
+
+  return {
+    project: project.path,
+    outputDir: project.outputDir,
+    characters,
+  };
+}
+
+/**
+ * Expands one characters entry into spec paths
+ * @param {string} root - Manifest directory
+ * @param {string} entry - Spec path, optionally with * wildcards in the file name
+ * @returns {Promise<string[]>} Absolute spec paths, sorted for wildcards
+ */
+async function expandEntry(root, entry) {
+  const path = resolve(root, entry);
+  if (!basename(path).includes('*')) {
+    return [path];
+  }
+
+  const dir = dirname(path);
+  const pattern = new RegExp(`^${basename(path).split('*').map(escapeRegExp).join('.*')}$`);
+  const files = await fs.readdir(dir).catch(() => []);
+  const matches = files.filter(file => pattern.test(file)).sort().map(file => join(dir, file));
+
+  if (matches.length === 0) {
+    logger.warn(`No spec files match ${entry}`);
+  }
+
+  return matches;
+}
+
+/**
+ * Fingerprints everything a character's outputs depend on
+ * @param {Object} spec - Resolved spec (defaults and extends applied)
+ * @param {string} specPath - Spec path (reference images are relative to it)
+ * @param {Object} generation - Generation options (provider and reference overrides, attempt limit, palette file)
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+async function getFingerprint(spec, specPath, generation) {
+  const reference = resolveReferenceSettings(spec, specPath, generation.reference);
+  const referenceImage = reference?.mode === 'image' ? await hashFile(reference.path) : null;
+
+  return createHash('sha256').update(JSON.stringify({
+    spec,
+    reference,
+    referenceImage,
+    palette: generation.paletteFile ? await hashFile(generation.paletteFile) : null,
+    provider: getProvider(generation.provider).name,
+    style: resolveStyle(spec).name,
+    prompts: config.prompts,
+    processing: config.processing,
+    validation: config.validation,
+    paletteMaxError: config.palette.maxError,
+    animationPrefix: config.phaser.animationPrefix,
+    imageModel: config.openai.imageModel,
+    // Throughput settings (concurrency, request rate) do not change the outputs
+    generation: {
+      maxFramesPerStrip: config.generation.maxFramesPerStrip,
+      minFramesPerStrip: config.generation.minFramesPerStrip,
+      stripOverlap: config.generation.stripOverlap,
+      frameFallbackAfter: config.generation.frameFallbackAfter,
+      maxAttempts: generation.maxAttempts ?? config.generation.maxValidationAttempts,
+    },
+  })).digest('hex');
+}
+
+/**
+ * Hashes a file's contents
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} SHA-256 hex digest, or null when the file does not exist
+ */
+async function hashFile(filePath) {
+  if (!(await fileExists(filePath))) return null;
+  return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Checks that every file of a previous build still exists
+ * @param {string} root - Manifest directory
+ * @param {string[]} files - Paths relative to root
+ * @returns {Promise<boolean>} True when all exist
+ */
+async function allExist(root, files = []) {
+  for (const file of files) {
+    if (!(await fileExists(resolve(root, file)))) return false;
+  }
+  return files.length > 0;
+}
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+  PROJECT_FILE,
+  PROJECT_SCHEMA,
+  loadProject,
+  buildProject,
+};
@@ -0,0 +1,70 @@
+/**
+ * Project build tests
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from './config.js';
+import logger from './utils/logger.js';
+import { buildProject } from './project.js';
+
+let workDir;
+let projectPath;
+
+before(async () => {
+  logger.setLevel('error');
+  workDir = await mkdtemp(join(tmpdir(), 'spraite-project-'));
+  projectPath = join(workDir, 'spraite.project.json');
+  await writeFile(join(workDir, 'tester.json'), JSON.stringify({
+    name: 'tester',
+    character: { description: 'a small test knight' },
+    frameWidth: 32,
+    frameHeight: 32,
+    animations: { idle: { frames: 2, fps: 4 } },
+  }));
+  await writeFile(projectPath, JSON.stringify({ characters: ['tester.json'], output: 'out' }));
+});
+
+after(async () => {
+  await rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Builds the test project and returns the character's status
+ * @param {Object} options - Build options
+ * @returns {Promise<string>} Build status
+ */
+async function buildStatus(options = {}) {
+  const { characters: [character] } = await buildProject(projectPath, { provider: 'local', cache: false, ...options });
+  return character.status;
+}
+
+test('build skips characters whose inputs did not change', async () => {
+  assert.equal(await buildStatus(), 'built');
+  assert.equal(await buildStatus(), 'current');
+});
+
+test('build regenerates characters when the attempt limit changes', async () => {
+  await buildStatus();
+  assert.equal(await buildStatus({ maxAttempts: 5 }), 'built');
+  assert.equal(await buildStatus({ maxAttempts: 5 }), 'current');
+});
+
+test('build regenerates characters when the generation settings or image model change', async (t) => {
+  const { stripOverlap } = config.generation;
+  const { imageModel } = config.openai;
+  t.after(() => {
+    config.generation.stripOverlap = stripOverlap;
+    config.openai.imageModel = imageModel;
+  });
+
+  await buildStatus();
+  config.generation.stripOverlap = stripOverlap + 1;
+  assert.equal(await buildStatus(), 'built');
+
+  config.openai.imageModel = 'another-model';
+  assert.equal(await buildStatus(), 'built');
+});
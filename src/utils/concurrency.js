@@ -0,0 +1,102 @@
+/**
+ * Concurrency utilities
+ * Bounded worker pool and a shared rate limiter for API calls
+ */
+
+/**
+ * Runs an async function over items with at most `limit` in flight
+ * Stops scheduling new items after the first failure, waits for the items
+ * already in flight and then rethrows the first failure
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (a positive integer)
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Concurrency must be a whole number of at least 1, got '${limit}'`);
+  }
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  // Settle every worker first, so no request is still running when the caller sees the error
+  const workerCount = Math.min(limit, items.length);
+  const outcomes = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+  const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  return results;
+}
+
+/**
+ * Creates a rate limiter shared by every caller of an API
+ * Spaces requests to stay under requestsPerMinute and lets any caller pause
+ * all others (e.g. when a 429 response carries Retry-After)
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerMinute - Request ceiling (0 = unlimited)
+ * @returns {{acquire: Function, pause: Function}} Rate limiter
+ */
+export function createRateLimiter(options = {}) {
+  const { requestsPerMinute = 0 } = options;
+  const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+
+  let pausedUntil = 0;
+  let nextSlot = 0;
+
+  return {
+    /**
+     * Waits until a request may be sent, then reserves the slot
+     */
+    async acquire() {
+      for (;;) {
+        const now = Date.now();
+        const readyAt = Math.max(pausedUntil, nextSlot);
+
+        if (readyAt <= now) {
+          nextSlot = now + interval;
+          return;
+        }
+
+        await sleep(readyAt - now);
+      }
+    },
+
+    /**
+     * Blocks all callers for the given duration
+     * @param {number} ms - Milliseconds to pause
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * Sleep utility
+ * @param {number} ms - Milliseconds to sleep
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  mapWithConcurrency,
+  createRateLimiter,
+  sleep,
+};
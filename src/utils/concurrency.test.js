@@ -0,0 +1,40 @@
+/**
+ * Concurrency utility tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from './concurrency.js';
+
+test('mapWithConcurrency keeps input order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2]);
+});
+
+test('mapWithConcurrency rejects a limit that is not a positive integer', async () => {
+  for (const limit of [NaN, 0, 1.5]) {
+    await assert.rejects(mapWithConcurrency([1], limit, async () => {}), /at least 1/);
+  }
+});
+
+test('mapWithConcurrency waits for in-flight items and starts no new ones after a failure', async () => {
+  const started = [];
+  const finished = [];
+
+  await assert.rejects(
+    mapWithConcurrency([0, 1, 2, 3], 2, async (item) => {
+      started.push(item);
+      if (item === 0) throw new Error('boom');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      finished.push(item);
+    }),
+    /boom/
+  );
+
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(finished, [1]);
+});
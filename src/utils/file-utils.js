@@ -51,6 +51,16 @@ export async function writeBinary(filePath, data) {
   await fs.writeFile(filePath, data);
 }
 
+/**
+ * Writes text to a file
+ * @param {string} filePath - Path to write to
+ * @param {string} text - Text content
+ */
+export async function writeText(filePath, text) {
+  await ensureDir(dirname(filePath));
+  await fs.writeFile(filePath, text, 'utf-8');
+}
+
 /**
  * Checks if a file exists
  * @param {string} filePath - Path to check
@@ -84,6 +94,7 @@ export default {
   readJson,
   writeJson,
   writeBinary,
+  writeText,
   fileExists,
   listFiles,
 };
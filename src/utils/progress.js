@@ -0,0 +1,88 @@
+/**
+ * Multi-task progress display
+ * One spinner summarizes every in-flight task; finished tasks persist as lines
+ */
+
+import ora from 'ora';
+
+/**
+ * Progress handle for a single task
+ * @typedef {Object} TaskProgress
+ * @property {Function} update - (text) Sets the task's status text
+ * @property {Function} succeed - (message) Marks the task done
+ * @property {Function} warn - (message) Persists a warning; the task stays active
+ * @property {Function} fail - (message) Marks the task failed
+ */
+
+/**
+ * Creates a progress display for a fixed number of tasks
+ * @param {number} total - Number of tasks
+ * @returns {{task: Function, stop: Function}} Progress display
+ */
+export function createProgress(total) {
+  const active = new Map();
+  const spinner = ora();
+  let finished = 0;
+
+  const render = () => {
+    // Without a TTY only the persisted per-task lines are printed
+    if (!spinner.isEnabled) return;
+
+    if (active.size === 0) {
+      if (spinner.isSpinning) spinner.stop();
+      return;
+    }
+
+    const status = [...active.entries()].map(([name, text]) => `${name}: ${text}`).join(' | ');
+    spinner.text = `[${finished}/${total}] ${status}`;
+    if (!spinner.isSpinning) spinner.start();
+  };
+
+  const persist = (method, message) => {
+    spinner[method](message);
+    render();
+  };
+
+  return {
+    /**
+     * Registers a task
+     * @param {string} name - Task name
+     * @returns {TaskProgress} Task handle
+     */
+    task(name) {
+      active.set(name, 'starting...');
+      render();
+
+      return {
+        update(text) {
+          active.set(name, text);
+          render();
+        },
+        succeed(message) {
+          active.delete(name);
+          finished++;
+          persist('succeed', message);
+        },
+        warn(message) {
+          persist('warn', message);
+        },
+        fail(message) {
+          active.delete(name);
+          finished++;
+          persist('fail', message);
+        },
+      };
+    },
+
+    /**
+     * Stops the spinner
+     */
+    stop() {
+      spinner.stop();
+    },
+  };
+}
+
+export default {
+  createProgress,
+};
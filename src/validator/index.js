@@ -5,6 +5,14 @@
 export {
   validatePng,
   validateSpriteStrip,
+  scoreValidation,
+  ISSUE_CODES,
   fixTransparency,
   removeBackground
 } from './png-validator.js';
+
+export {
+  measureStrip,
+  scoreCandidate,
+  isBetterCandidate
+} from './strip-metrics.js';
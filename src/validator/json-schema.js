@@ -0,0 +1,285 @@
+/**
+ * JSON Schema validator
+ * Checks a value against the subset of JSON Schema used by the spec schema and
+ * reports problems by JSON pointer (e.g. /animations/walk/fps)
+ */
+
+/**
+ * Schema validation result
+ * @typedef {Object} SchemaResult
+ * @property {string[]} errors - '<pointer>: <problem>' for each violation
+ * @property {string[]} warnings - '<pointer>: unknown key' for each key the schema does not define
+ */
+
+/**
+ * Validates a value against a schema
+ * Supported keywords: type, enum, properties, required, additionalProperties,
+ * minProperties, propertyNames, items, minItems, maxItems, uniqueItems, minimum, maximum, minLength,
+ * maxLength, pattern (with errorMessage) and oneOf. With additionalProperties: false,
+ * unknown keys are reported as warnings rather than errors so newer specs still load.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @returns {SchemaResult} Errors and warnings
+ */
+export function validateSchema(value, schema) {
+  const result = { errors: [], warnings: [] };
+  check(value, schema, '', result);
+  return result;
+}
+
+/**
+ * Builds a JSON pointer from a parent pointer and a key
+ * @param {string} pointer - Parent pointer ('' for the root)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Child pointer
+ */
+export function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Checks one value, appending to result
+ * @param {*} value - Value
+ * @param {Object} schema - Schema for the value
+ * @param {string} pointer - Pointer to the value
+ * @param {SchemaResult} result - Accumulated result
+ */
+function check(value, schema, pointer, result) {
+  const at = pointer || '/';
+
+  if (schema.oneOf) {
+    checkOneOf(value, schema.oneOf, pointer, result);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    result.errors.push(`${at}: must be ${describeType(schema.type)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push(`${at}: must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    checkRange(value, schema, at, result);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      result.errors.push(`${at}: ${schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`}`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      result.errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      result.errors.push(`${at}: ${schema.errorMessage || `must match ${schema.pattern}`}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      result.errors.push(`${at}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      result.errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      result.errors.push(`${at}: must not repeat items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, childPointer(pointer, index), result));
+    }
+  }
+
+  if (isObject(value)) {
+    checkObject(value, schema, pointer, result);
+  }
+}
+
+/**
+ * Checks the keys and properties of an object
+ * @param {Object} value - Object
+ * @param {Object} schema - Object schema
+ * @param {string} pointer - Pointer to the object
+ * @param {SchemaResult} result - Accumulated result
+ */
+function checkObject(value, schema, pointer, result) {
+  const properties = schema.properties || {};
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    result.errors.push(`${pointer || '/'}: must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+  }
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      result.errors.push(`${childPointer(pointer, key)}: is required`);
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const keyPointer = childPointer(pointer, key);
+
+    if (schema.propertyNames) {
+      const keyResult = validateSchema(key, schema.propertyNames);
+      if (keyResult.errors.length > 0) {
+        result.errors.push(`${keyPointer}: key ${keyResult.errors[0].replace(/^\/: /, '')}`);
+        continue;
+      }
+    }
+
+    if (properties[key]) {
+      check(item, properties[key], keyPointer, result);
+    } else if (schema.additionalProperties === false) {
+      const suggestion = suggestKey(key, Object.keys(properties));
+      result.warnings.push(`${keyPointer}: unknown key${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    } else if (isObject(schema.additionalProperties)) {
+      check(item, schema.additionalProperties, keyPointer, result);
+    }
+  }
+}
+
+/**
+ * Checks a value against alternatives; when none matches, reports the errors of
+ * the alternative whose type fits the value
+ * @param {*} value - Value
+ * @param {Object[]} alternatives - Schemas
+ * @param {string} pointer - Pointer to the value
+ * @param {SchemaResult} result - Accumulated result
+ */
+function checkOneOf(value, alternatives, pointer, result) {
+  const results = alternatives.map(schema => validateSchema(value, schema));
+  const match = results.findIndex(r => r.errors.length === 0);
+
+  if (match >= 0) {
+    result.warnings.push(...prefix(results[match].warnings, pointer));
+    return;
+  }
+
+  const fitting = alternatives.findIndex(schema => !schema.type || matchesType(value, schema.type));
+  if (fitting >= 0) {
+    result.errors.push(...prefix(results[fitting].errors, pointer));
+    return;
+  }
+
+  const types = [...new Set(alternatives.flatMap(schema => [].concat(schema.type)))];
+  result.errors.push(`${pointer || '/'}: must be ${types.map(describeType).join(' or ')}`);
+}
+
+/**
+ * Re-roots the pointers of nested results
+ * @param {string[]} messages - Messages from validateSchema on a nested value
+ * @param {string} pointer - Pointer to the nested value
+ * @returns {string[]} Messages with full pointers
+ */
+function prefix(messages, pointer) {
+  return messages.map(message => message.startsWith('/: ')
+    ? `${pointer || '/'}: ${message.slice(3)}`
+    : `${pointer}${message}`);
+}
+
+/**
+ * Checks minimum and maximum
+ * @param {number} value - Number
+ * @param {Object} schema - Schema
+ * @param {string} at - Pointer for messages
+ * @param {SchemaResult} result - Accumulated result
+ */
+function checkRange(value, schema, at, result) {
+  const { minimum, maximum } = schema;
+  const low = minimum !== undefined && value < minimum;
+  const high = maximum !== undefined && value > maximum;
+  if (!low && !high) return;
+
+  if (minimum !== undefined && maximum !== undefined) {
+    result.errors.push(`${at}: must be between ${minimum} and ${maximum}`);
+  } else {
+    result.errors.push(`${at}: must be ${low ? `at least ${minimum}` : `at most ${maximum}`}`);
+  }
+}
+
+/**
+ * Checks a value's JSON type
+ * @param {*} value - Value
+ * @param {string|string[]} type - JSON Schema type(s)
+ * @returns {boolean} True when the value has one of the types
+ */
+function matchesType(value, type) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'object': return isObject(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+/**
+ * Describes a type for messages
+ * @param {string|string[]} type - JSON Schema type(s)
+ * @returns {string} e.g. 'an integer'
+ */
+function describeType(type) {
+  return [].concat(type)
+    .map(t => (['object', 'array', 'integer'].includes(t) ? `an ${t}` : `a ${t}`))
+    .join(' or ');
+}
+
+/**
+ * Checks for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Finds the known key closest to a misspelt one
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Keys the schema defines
+ * @returns {string|null} Closest key within two edits, if any
+ */
+function suggestKey(key, known) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of known) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Levenshtein distance, counting a swap of adjacent letters as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+export default {
+  validateSchema,
+  childPointer,
+};
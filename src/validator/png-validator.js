@@ -13,21 +13,41 @@ import logger from '../utils/logger.js';
  * @property {boolean} isValid - Whether validation passed
  * @property {string[]} errors - Array of error messages
  * @property {string[]} warnings - Array of warning messages
+ * @property {string[]} issues - Machine-readable failure codes (see ISSUE_CODES)
  * @property {Object} metadata - Image metadata
  */
 
+/**
+ * Failure codes reported in ValidationResult.issues
+ */
+export const ISSUE_CODES = {
+  FORMAT: 'format',
+  CHANNELS: 'channels',
+  ALPHA: 'alpha',
+  DIMENSIONS: 'dimensions',
+  TRANSPARENCY: 'transparency',
+  FRAME_COUNT: 'frame-count',
+  COLORS: 'colors',
+  PALETTE: 'palette',
+  PARTIAL_ALPHA: 'partial-alpha',
+};
+
 /**
  * Validates a PNG image buffer for sprite requirements
  * @param {Buffer} imageBuffer - PNG image data
  * @param {Object} expectedSpec - Expected specification
  * @param {number} expectedSpec.width - Expected width
  * @param {number} expectedSpec.height - Expected height
+ * @param {Object} thresholds - Style-specific thresholds overriding config.validation
+ * @param {number} thresholds.minTransparentBorderPercent - Border pixels that must be transparent
  * @returns {Promise<ValidationResult>} Validation result
  */
-export async function validatePng(imageBuffer, expectedSpec = {}) {
+export async function validatePng(imageBuffer, expectedSpec = {}, thresholds = {}) {
   const errors = [];
   const warnings = [];
+  const issues = new Set();
   let metadata = {};
+  let transparentPercent = null;
 
   try {
     // Get image metadata
@@ -37,44 +57,53 @@ export async function validatePng(imageBuffer, expectedSpec = {}) {
     // 1. Validate PNG format
     if (metadata.format !== 'png') {
       errors.push(`Invalid format: expected 'png', got '${metadata.format}'`);
+      issues.add(ISSUE_CODES.FORMAT);
     }
 
     // 2. Validate RGBA channels (4 channels)
     if (metadata.channels !== 4) {
       errors.push(`Invalid channels: expected 4 (RGBA), got ${metadata.channels}`);
+      issues.add(ISSUE_CODES.CHANNELS);
     }
 
     // 3. Validate alpha channel presence
     if (!metadata.hasAlpha) {
       errors.push('Missing alpha channel - image must have transparency support');
+      issues.add(ISSUE_CODES.ALPHA);
     }
 
     // 4. Validate dimensions if specified
     if (expectedSpec.width && metadata.width !== expectedSpec.width) {
       errors.push(`Invalid width: expected ${expectedSpec.width}, got ${metadata.width}`);
+      issues.add(ISSUE_CODES.DIMENSIONS);
     }
 
     if (expectedSpec.height && metadata.height !== expectedSpec.height) {
       errors.push(`Invalid height: expected ${expectedSpec.height}, got ${metadata.height}`);
+      issues.add(ISSUE_CODES.DIMENSIONS);
     }
 
     // 5. Validate background transparency (corners and gutters)
     if (metadata.hasAlpha) {
-      const transparencyResult = await validateTransparency(image, metadata);
+      const transparencyResult = await validateTransparency(image, metadata, thresholds);
+      transparentPercent = transparencyResult.transparentPercent;
       if (!transparencyResult.isTransparent) {
         errors.push('Background is not transparent - corners/edges have non-zero alpha');
         errors.push(...transparencyResult.details);
+        issues.add(ISSUE_CODES.TRANSPARENCY);
       }
     }
 
   } catch (error) {
     errors.push(`Failed to parse image: ${error.message}`);
+    issues.add(ISSUE_CODES.FORMAT);
   }
 
   return {
     isValid: errors.length === 0,
     errors,
     warnings,
+    issues: [...issues],
     metadata: {
       width: metadata.width,
       height: metadata.height,
@@ -82,6 +111,7 @@ export async function validatePng(imageBuffer, expectedSpec = {}) {
       format: metadata.format,
       hasAlpha: metadata.hasAlpha,
       size: imageBuffer.length,
+      transparentPercent,
     },
   };
 }
@@ -90,11 +120,13 @@ export async function validatePng(imageBuffer, expectedSpec = {}) {
  * Validates that background/gutter pixels are transparent
  * @param {sharp.Sharp} image - Sharp image instance
  * @param {Object} metadata - Image metadata
+ * @param {Object} thresholds - Style-specific thresholds overriding config.validation
  * @returns {Promise<Object>} Transparency validation result
  */
-async function validateTransparency(image, metadata) {
+async function validateTransparency(image, metadata, thresholds = {}) {
   const { width, height } = metadata;
-  const { cornerSampleSize, alphaThreshold, minTransparentBorderPercent } = config.validation;
+  const { cornerSampleSize, alphaThreshold } = config.validation;
+  const { minTransparentBorderPercent = config.validation.minTransparentBorderPercent } = thresholds;
 
   // Extract raw pixel data
   const { data, info } = await image
@@ -184,27 +216,206 @@ async function validateTransparency(image, metadata) {
  * @param {number} frameWidth - Expected frame width
  * @param {number} frameHeight - Expected frame height
  * @param {number} frameCount - Expected number of frames
+ * @param {Object} thresholds - Style-specific thresholds (see validatePng)
+ * @param {number} thresholds.maxColors - Distinct opaque colors allowed in the strip and in each frame
+ *   (default: no limit)
+ * @param {number} thresholds.maxPartialAlphaPercent - Share of visible pixels that may be semi-transparent
+ *   (default: config.validation.maxPartialAlphaPercent)
  * @returns {Promise<ValidationResult>} Validation result
  */
-export async function validateSpriteStrip(imageBuffer, frameWidth, frameHeight, frameCount) {
+export async function validateSpriteStrip(imageBuffer, frameWidth, frameHeight, frameCount, thresholds = {}) {
   const expectedWidth = frameWidth * frameCount;
   const expectedHeight = frameHeight;
 
   const baseResult = await validatePng(imageBuffer, {
     width: expectedWidth,
     height: expectedHeight,
-  });
+  }, thresholds);
+
+  // Verify frame count by counting separate figures along the strip
+  if (baseResult.metadata.hasAlpha) {
+    const segments = await countFigures(imageBuffer, frameWidth);
+    baseResult.metadata.detectedFrames = segments;
+
+    if (segments !== frameCount) {
+      baseResult.errors.push(`Detected ${segments} separate figures, expected ${frameCount} frames`);
+      baseResult.issues.push(ISSUE_CODES.FRAME_COUNT);
+      baseResult.isValid = false;
+    }
+
+    // Anti-aliased fringes and gradients show up as far more colors than the style allows
+    const colors = await countColors(imageBuffer, frameWidth);
+    baseResult.metadata.colors = colors.strip;
+    baseResult.metadata.frameColors = colors.frames;
+
+    const { maxColors } = thresholds;
+    if (maxColors && colors.strip > maxColors) {
+      const frames = colors.frames
+        .map((count, index) => (count > maxColors ? `${index + 1} (${count})` : null))
+        .filter(Boolean);
+      baseResult.errors.push(
+        `Strip uses ${colors.strip} colors, the style allows ${maxColors}` +
+        (frames.length > 0 ? `; over the limit in frame ${frames.join(', ')}` : '')
+      );
+      baseResult.issues.push(ISSUE_CODES.COLORS);
+      baseResult.isValid = false;
+    }
+
+    // Corner sampling misses soft halos inside the strip, which show on dark backgrounds
+    const partialAlpha = await countPartialAlpha(imageBuffer);
+    baseResult.metadata.partialAlpha = partialAlpha.pixels;
+    baseResult.metadata.partialAlphaPercent = partialAlpha.percent;
+
+    const maxPartialAlphaPercent = thresholds.maxPartialAlphaPercent ?? config.validation.maxPartialAlphaPercent;
+    if (partialAlpha.percent > maxPartialAlphaPercent) {
+      baseResult.errors.push(
+        `${partialAlpha.pixels} semi-transparent pixels (${partialAlpha.percent}% of the sprite, ` +
+        `max ${maxPartialAlphaPercent}%)`
+      );
+      baseResult.issues.push(ISSUE_CODES.PARTIAL_ALPHA);
+      baseResult.isValid = false;
+    }
+  }
 
-  // Additional sprite strip validations
   if (baseResult.isValid) {
-    // Verify frame alignment by checking for content in expected regions
-    // This is a basic check - more sophisticated checks could analyze pixel content
     logger.debug(`Sprite strip validated: ${frameCount} frames at ${frameWidth}x${frameHeight}`);
   }
 
   return baseResult;
 }
 
+/**
+ * Counts separate figures in a horizontal strip using a column projection
+ * of the alpha channel. Runs of non-empty columns separated by a transparent
+ * gap are counted as one figure; slivers narrower than 10% of a frame are ignored.
+ * @param {Buffer} imageBuffer - PNG image data
+ * @param {number} frameWidth - Expected frame width
+ * @returns {Promise<number>} Number of figures detected
+ */
+async function countFigures(imageBuffer, frameWidth) {
+  const { alphaThreshold } = config.validation;
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const minRunWidth = Math.max(1, Math.floor(frameWidth * 0.1));
+  let figures = 0;
+  let runWidth = 0;
+
+  for (let x = 0; x <= info.width; x++) {
+    let filled = false;
+    if (x < info.width) {
+      for (let y = 0; y < info.height; y++) {
+        if (data[(y * info.width + x) * 4 + 3] > alphaThreshold) {
+          filled = true;
+          break;
+        }
+      }
+    }
+
+    if (filled) {
+      runWidth++;
+    } else {
+      if (runWidth >= minRunWidth) figures++;
+      runWidth = 0;
+    }
+  }
+
+  return figures;
+}
+
+/**
+ * Counts distinct opaque colors in a strip and in each of its frames
+ * @param {Buffer} imageBuffer - PNG image data
+ * @param {number} frameWidth - Frame width
+ * @returns {Promise<{strip: number, frames: number[]}>} Colors in the whole strip and per frame
+ */
+async function countColors(imageBuffer, frameWidth) {
+  const { alphaThreshold } = config.validation;
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const strip = new Set();
+  const frames = Array.from({ length: Math.max(1, Math.floor(info.width / frameWidth)) }, () => new Set());
+
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const i = (y * info.width + x) * 4;
+      if (data[i + 3] <= alphaThreshold) continue;
+
+      const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      strip.add(color);
+      frames[Math.min(frames.length - 1, Math.floor(x / frameWidth))].add(color);
+    }
+  }
+
+  return {
+    strip: strip.size,
+    frames: frames.map(colors => colors.size),
+  };
+}
+
+/**
+ * Counts visible pixels that are not fully opaque
+ * @param {Buffer} imageBuffer - PNG image data
+ * @returns {Promise<{pixels: number, percent: number}>} Semi-transparent pixels, and their share of
+ *   all visible pixels (rounded to 0.1)
+ */
+async function countPartialAlpha(imageBuffer) {
+  const { alphaThreshold } = config.validation;
+  const { data } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let visible = 0;
+  let pixels = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] <= alphaThreshold) continue;
+    visible++;
+    if (data[i] < 255) pixels++;
+  }
+
+  return {
+    pixels,
+    percent: visible > 0 ? Math.round((pixels / visible) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * Scores a validation result so attempts can be ranked (0-100, higher is better)
+ * @param {ValidationResult} result - Validation result
+ * @returns {number} Score
+ */
+export function scoreValidation(result) {
+  if (result.isValid) {
+    return 100;
+  }
+
+  const penalties = {
+    [ISSUE_CODES.FORMAT]: 50,
+    [ISSUE_CODES.CHANNELS]: 30,
+    [ISSUE_CODES.ALPHA]: 30,
+    [ISSUE_CODES.DIMENSIONS]: 20,
+    [ISSUE_CODES.FRAME_COUNT]: 25,
+  };
+
+  let score = 100;
+  for (const issue of result.issues) {
+    score -= penalties[issue] ?? 10;
+  }
+
+  // Partial credit for mostly-transparent borders
+  if (result.issues.includes(ISSUE_CODES.TRANSPARENCY)) {
+    score -= (100 - (result.metadata.transparentPercent ?? 0)) * 0.4;
+  }
+
+  return Math.max(0, Math.round(score));
+}
+
 /**
  * Attempts to fix common transparency issues
  * @param {Buffer} imageBuffer - Original image buffer
@@ -290,6 +501,7 @@ export async function removeBackground(imageBuffer, options = {}) {
 export default {
   validatePng,
   validateSpriteStrip,
+  scoreValidation,
   fixTransparency,
   removeBackground,
 };
@@ -0,0 +1,140 @@
+/**
+ * Sprite strip quality metrics
+ * Measures how clean a strip is beyond pass/fail validation, so several
+ * candidates for the same animation can be ranked
+ */
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import { scoreValidation } from './png-validator.js';
+import { resolveStyle } from '../generator/styles.js';
+
+/**
+ * Strip metrics; every ratio is 0-1, higher is better
+ * @typedef {Object} StripMetrics
+ * @property {number} transparency - Share of frame-cell border pixels that are transparent
+ * @property {number} colors - Distinct opaque colors in the strip
+ * @property {number} palette - 1 within the palette limit, falling as colors exceed it
+ * @property {number} separation - Share of frame boundaries crossed by no opaque pixel
+ * @property {number} baselineSpread - Difference in pixels between the highest and lowest frame baseline
+ * @property {number} baseline - 1 for a shared baseline, 0 at a spread of 10% of the frame height
+ */
+
+/**
+ * Measures a normalized strip
+ * @param {Buffer} imageBuffer - PNG strip, already resized to frameWidth*frameCount x frameHeight
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Measurement options
+ * @param {number} options.maxColors - Palette limit (default: the default style's validation.maxColors)
+ * @returns {Promise<StripMetrics>} Metrics
+ */
+export async function measureStrip(imageBuffer, frameWidth, frameHeight, frameCount, options = {}) {
+  const { maxColors = resolveStyle().validation.maxColors } = options;
+  const { alphaThreshold } = config.validation;
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const isOpaque = (x, y) => data[(y * info.width + x) * 4 + 3] > alphaThreshold;
+  const cells = Math.min(frameCount, Math.floor(info.width / frameWidth));
+  const height = Math.min(frameHeight, info.height);
+
+  // Palette: distinct RGB values of opaque pixels
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > alphaThreshold) {
+      colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    }
+  }
+
+  // Transparency: the outer ring of every frame cell should be background
+  let borderPixels = 0;
+  let transparentBorder = 0;
+  for (let cell = 0; cell < cells; cell++) {
+    const x0 = cell * frameWidth;
+    for (let x = x0; x < x0 + frameWidth; x++) {
+      for (const y of [0, height - 1]) {
+        borderPixels++;
+        if (!isOpaque(x, y)) transparentBorder++;
+      }
+    }
+    for (let y = 1; y < height - 1; y++) {
+      for (const x of [x0, x0 + frameWidth - 1]) {
+        borderPixels++;
+        if (!isOpaque(x, y)) transparentBorder++;
+      }
+    }
+  }
+
+  // Separation: no figure should straddle the boundary between two frames
+  let clearBoundaries = 0;
+  for (let cell = 1; cell < cells; cell++) {
+    const boundary = cell * frameWidth;
+    let crossed = false;
+    for (let y = 0; y < height && !crossed; y++) {
+      crossed = isOpaque(boundary - 1, y) && isOpaque(boundary, y);
+    }
+    if (!crossed) clearBoundaries++;
+  }
+
+  // Baseline: the lowest opaque row of every non-empty frame should match
+  const baselines = [];
+  for (let cell = 0; cell < cells; cell++) {
+    const x0 = cell * frameWidth;
+    for (let y = height - 1; y >= 0; y--) {
+      let filled = false;
+      for (let x = x0; x < x0 + frameWidth && !filled; x++) {
+        filled = isOpaque(x, y);
+      }
+      if (filled) {
+        baselines.push(y);
+        break;
+      }
+    }
+  }
+
+  const baselineSpread = baselines.length > 0 ? Math.max(...baselines) - Math.min(...baselines) : 0;
+  const baselineTolerance = Math.max(1, frameHeight * 0.1);
+
+  return {
+    transparency: borderPixels > 0 ? transparentBorder / borderPixels : 0,
+    colors: colors.size,
+    palette: colors.size <= maxColors ? 1 : maxColors / colors.size,
+    separation: cells > 1 ? clearBoundaries / (cells - 1) : 1,
+    baselineSpread,
+    baseline: baselines.length > 0 ? Math.max(0, 1 - baselineSpread / baselineTolerance) : 0,
+  };
+}
+
+/**
+ * Scores a candidate strip (0-100, higher is better)
+ * Half the score comes from validation, half from the quality metrics
+ * @param {Object} validation - Validation result for the strip
+ * @param {StripMetrics} metrics - Metrics from measureStrip
+ * @returns {number} Score
+ */
+export function scoreCandidate(validation, metrics) {
+  const quality = (metrics.transparency + metrics.palette + metrics.separation + metrics.baseline) / 4;
+  return Math.round(scoreValidation(validation) * 0.5 + quality * 50);
+}
+
+/**
+ * Compares two scored candidates; valid strips always rank above invalid ones
+ * @param {{validation: Object, score: number}} a - Candidate
+ * @param {{validation: Object, score: number}|null} b - Current best, if any
+ * @returns {boolean} True when a should replace b
+ */
+export function isBetterCandidate(a, b) {
+  if (!b) return true;
+  if (a.validation.isValid !== b.validation.isValid) return a.validation.isValid;
+  return a.score > b.score;
+}
+
+export default {
+  measureStrip,
+  scoreCandidate,
+  isBetterCandidate,
+};